@@ -6,38 +6,36 @@
 set -euo pipefail
 
 INSTALL_DIR="${HOME}/.claude-auto-speak"
-CONFIG_FILE="${INSTALL_DIR}/config.json"
-LOG_FILE="${INSTALL_DIR}/prompt-ack-hook.log"
 WATCHER_PID_FILE="${INSTALL_DIR}/transcript-watcher.pid"
 
+# Source structured logging
+source "${INSTALL_DIR}/lib/log.sh" 2>/dev/null || true
+
+# Source config access (effective config incl. project overrides)
+source "${INSTALL_DIR}/lib/config.sh" 2>/dev/null || true
+
 # Source session detection library
 source "${INSTALL_DIR}/lib/session-detect.sh" 2>/dev/null || true
 
-# Function to log messages
+# Function to log messages: log [--warn|--error] <message> [key=value...]
 log() {
-  echo "[$(date '+%Y-%m-%d %H:%M:%S')] $*" >> "$LOG_FILE"
+  local level="info"
+  case "${1:-}" in
+    --debug|--warn|--error) level="${1#--}"; shift ;;
+  esac
+  log_event "$level" "hook:prompt-ack" "$@"
 }
 
 # Check if acknowledgment is enabled
 is_ack_enabled() {
-  if [[ ! -f "$CONFIG_FILE" ]]; then
-    return 1
-  fi
-
   # Check acknowledgment.enabled first, then fall back to main enabled
-  if command -v jq &>/dev/null; then
-    local ack_enabled=$(jq -r '.acknowledgment.enabled // null' "$CONFIG_FILE" 2>/dev/null)
-    if [[ "$ack_enabled" == "true" ]]; then
-      return 0
-    elif [[ "$ack_enabled" == "false" ]]; then
-      return 1
-    fi
-    # Fall back to main enabled if acknowledgment.enabled is not set
-    local enabled=$(jq -r '.enabled // false' "$CONFIG_FILE" 2>/dev/null)
-    [[ "$enabled" == "true" ]]
-  else
-    grep -q '"enabled"[[:space:]]*:[[:space:]]*true' "$CONFIG_FILE" 2>/dev/null
+  local ack_enabled=$(get_config "acknowledgment.enabled" "null")
+  if [[ "$ack_enabled" == "true" ]]; then
+    return 0
+  elif [[ "$ack_enabled" == "false" ]]; then
+    return 1
   fi
+  config_is_true "enabled"
 }
 
 # Kill any existing transcript watcher
@@ -57,27 +55,37 @@ kill_existing_watcher() {
 
 # Main hook logic
 main() {
-  log "=== Prompt acknowledgment hook triggered ==="
-
-  if ! is_ack_enabled; then
-    log "Acknowledgment disabled, skipping"
-    exit 0
-  fi
-
   # Read hook data from stdin (JSON)
   local hook_data=""
   if [[ ! -t 0 ]]; then
     hook_data=$(cat)
-    log "Hook data received: ${hook_data:0:200}..."
   else
-    log "WARN: No hook data received on stdin"
+    log --warn "No hook data received on stdin"
     exit 0
   fi
 
-  # Extract transcript path from hook data
+  # Extract transcript path, session and project dir from hook data
   local transcript_path=""
   if command -v jq &>/dev/null && [[ -n "$hook_data" ]]; then
     transcript_path=$(echo "$hook_data" | jq -r '.transcript_path // ""' 2>/dev/null)
+    local hook_session=$(echo "$hook_data" | jq -r '.session_id // ""' 2>/dev/null)
+    if [[ -n "$hook_session" ]]; then
+      # Tags log entries from this hook, the watcher and the progress timer
+      export CLAUDE_SESSION_ID="$hook_session"
+    fi
+    local hook_cwd=$(echo "$hook_data" | jq -r '.cwd // ""' 2>/dev/null)
+    if [[ -n "$hook_cwd" ]]; then
+      # Inherited by the watcher, progress timer and speak
+      export CLAUDE_PROJECT_DIR="$hook_cwd"
+    fi
+  fi
+
+  log "=== Prompt acknowledgment hook triggered ==="
+  log --debug "Hook data received: ${hook_data:0:200}..."
+
+  if ! is_ack_enabled; then
+    log "Acknowledgment disabled, skipping"
+    exit 0
   fi
 
   if [[ -z "$transcript_path" ]]; then
@@ -86,7 +94,7 @@ main() {
   fi
 
   if [[ ! -f "$transcript_path" ]]; then
-    log "Transcript file not found: $transcript_path"
+    log --warn "Transcript file not found: $transcript_path"
     exit 0
   fi
 
@@ -104,9 +112,17 @@ main() {
   # Also stop any existing progress timer
   "${INSTALL_DIR}/lib/progress-timer.sh" stop 2>/dev/null || true
 
+  # Respect quiet hours and snoozes (acknowledgments are never let through)
+  local quiet_reason=""
+  if ! quiet_reason=$(node "${INSTALL_DIR}/lib/should-speak.mjs" acknowledgment </dev/null 2>/dev/null); then
+    log "Muted (${quiet_reason}), skipping acknowledgment"
+    exit 0
+  fi
+
   # Start transcript watcher in background (detached from terminal)
+  # It logs through logger.mjs; raw output (crashes) goes to stderr.log
   nohup node "${INSTALL_DIR}/lib/transcript-watcher.mjs" \
-    "$transcript_path" >> "$LOG_FILE" 2>&1 &
+    "$transcript_path" >> "$_AS_STDERR_LOG" 2>&1 &
 
   local watcher_pid=$!
   echo "$watcher_pid" > "$WATCHER_PID_FILE"
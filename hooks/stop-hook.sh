@@ -9,53 +9,33 @@
 set -euo pipefail
 
 INSTALL_DIR="${HOME}/.claude-auto-speak"
-CONFIG_FILE="${INSTALL_DIR}/config.json"
-LOG_FILE="${INSTALL_DIR}/auto-speak.log"
 SUMMARIZE_SCRIPT="${INSTALL_DIR}/lib/summarize.mjs"
 WATCHER_PID_FILE="${INSTALL_DIR}/transcript-watcher.pid"
 
+# Source structured logging
+source "${INSTALL_DIR}/lib/log.sh" 2>/dev/null || true
+
+# Source config access (effective config incl. project overrides)
+source "${INSTALL_DIR}/lib/config.sh" 2>/dev/null || true
+
 # Source TTS manager for exclusive playback
 source "${INSTALL_DIR}/lib/tts-manager.sh" 2>/dev/null || true
 
 # Source session detection library
 source "${INSTALL_DIR}/lib/session-detect.sh" 2>/dev/null || true
 
-# Function to log messages
+# Function to log messages: log [--warn|--error] <message> [key=value...]
 log() {
-  echo "[$(date '+%Y-%m-%d %H:%M:%S')] $*" >> "$LOG_FILE"
+  local level="info"
+  case "${1:-}" in
+    --debug|--warn|--error) level="${1#--}"; shift ;;
+  esac
+  log_event "$level" "hook:stop" "$@"
 }
 
 # Check if auto-speak is enabled
 is_auto_speak_enabled() {
-  if [[ ! -f "$CONFIG_FILE" ]]; then
-    return 1
-  fi
-
-  # Use jq if available, otherwise grep
-  if command -v jq &>/dev/null; then
-    local enabled=$(jq -r '.enabled // false' "$CONFIG_FILE" 2>/dev/null)
-    [[ "$enabled" == "true" ]]
-  else
-    grep -q '"enabled"[[:space:]]*:[[:space:]]*true' "$CONFIG_FILE" 2>/dev/null
-  fi
-}
-
-# Get config value
-get_config() {
-  local key="$1"
-  local default="$2"
-
-  if [[ ! -f "$CONFIG_FILE" ]]; then
-    echo "$default"
-    return
-  fi
-
-  if command -v jq &>/dev/null; then
-    local value=$(jq -r ".${key} // \"${default}\"" "$CONFIG_FILE" 2>/dev/null)
-    echo "$value"
-  else
-    echo "$default"
-  fi
+  config_is_true "enabled"
 }
 
 # Stop the transcript watcher if running
@@ -83,7 +63,34 @@ stop_progress_timer() {
 
 # Main hook logic
 main() {
+  # Read hook data from stdin (JSON)
+  local hook_data=""
+  if [[ ! -t 0 ]]; then
+    hook_data=$(cat)
+  fi
+
+  # Extract transcript path, session and project dir from hook data
+  local transcript_path=""
+  if command -v jq &>/dev/null && [[ -n "$hook_data" ]]; then
+    transcript_path=$(echo "$hook_data" | jq -r '.transcript_path // ""' 2>/dev/null)
+    local hook_session=$(echo "$hook_data" | jq -r '.session_id // ""' 2>/dev/null)
+    if [[ -n "$hook_session" ]]; then
+      # Tags every log entry written by this hook and the scripts it runs
+      export CLAUDE_SESSION_ID="$hook_session"
+    fi
+    local hook_cwd=$(echo "$hook_data" | jq -r '.cwd // ""' 2>/dev/null)
+    if [[ -n "$hook_cwd" ]]; then
+      # Project overrides are resolved from here by every script we run
+      export CLAUDE_PROJECT_DIR="$hook_cwd"
+    fi
+  fi
+
   log "=== Auto-speak hook triggered ==="
+  if [[ -n "$hook_data" ]]; then
+    log --debug "Hook data received: ${hook_data:0:200}..."
+  else
+    log --warn "No hook data received on stdin"
+  fi
 
   # Stop any running watcher and timer FIRST to prevent overlap
   stop_transcript_watcher
@@ -95,24 +102,8 @@ main() {
     exit 0
   fi
 
-  # Read hook data from stdin (JSON)
-  local hook_data=""
-  if [[ ! -t 0 ]]; then
-    hook_data=$(cat)
-    log "Hook data received: ${hook_data:0:200}..."
-  else
-    log "WARN: No hook data received on stdin"
-  fi
-
-  # Extract transcript path from hook data
-  local transcript_path=""
-  if command -v jq &>/dev/null && [[ -n "$hook_data" ]]; then
-    transcript_path=$(echo "$hook_data" | jq -r '.transcript_path // ""' 2>/dev/null)
-  fi
-
   if [[ -z "$transcript_path" ]] || [[ ! -f "$transcript_path" ]]; then
-    log "ERROR: No valid transcript path found"
-    log "Hook data: $hook_data"
+    log --error "No valid transcript path found" hookData="$hook_data"
     exit 0
   fi
 
@@ -126,7 +117,7 @@ main() {
 
   # Check if summarizer script exists
   if [[ ! -f "$SUMMARIZE_SCRIPT" ]]; then
-    log "ERROR: Summarizer script not found: $SUMMARIZE_SCRIPT"
+    log --error "Summarizer script not found: $SUMMARIZE_SCRIPT"
     exit 0
   fi
 
@@ -134,11 +125,12 @@ main() {
 
   # Run summarizer (filters + LLM summarization)
   local summary=""
-  summary=$(node "$SUMMARIZE_SCRIPT" "$transcript_path" 2>>"$LOG_FILE")
+  local start_ms=$(log_now_ms)
+  summary=$(node "$SUMMARIZE_SCRIPT" "$transcript_path" 2>>"$_AS_STDERR_LOG")
   local exit_code=$?
 
   if [[ $exit_code -ne 0 ]]; then
-    log "Summarizer failed with exit code $exit_code"
+    log --error "Summarizer failed with exit code $exit_code" exitCode="$exit_code"
     exit 0
   fi
 
@@ -147,27 +139,32 @@ main() {
     exit 0
   fi
 
-  log "Summary generated: ${#summary} characters"
-  log "Summary preview: ${summary:0:100}..."
+  log "Summary generated: ${summary:0:100}..." chars="${#summary}" durationMs="$(( $(log_now_ms) - start_ms ))"
 
-  # Speak the summary using exclusive TTS (cancels any existing)
+  # Respect quiet hours and snoozes (failures may still get through)
+  local quiet_reason=""
+  if ! quiet_reason=$(echo "$summary" | node "${INSTALL_DIR}/lib/should-speak.mjs" summary 2>/dev/null); then
+    log "Muted (${quiet_reason}), skipping TTS"
+    exit 0
+  fi
+
+  # Speak the summary using exclusive TTS (cancels any existing). Speech
+  # history is recorded along with the engine that spoke it
   if type speak_exclusive &>/dev/null; then
     speak_exclusive "$summary"
   else
     # Fallback if TTS manager not loaded
     local speak_cmd="${INSTALL_DIR}/bin/speak"
     if [[ -f "$speak_cmd" ]]; then
-      echo "$summary" | node "$speak_cmd" &
+      echo "$summary" | node "$speak_cmd" --history &
     else
       local voice=$(get_config "voice" "Samantha")
       local rate=$(get_config "rate" "175")
+      echo "$summary" | node "${INSTALL_DIR}/lib/log-speech.mjs" --engine macos 2>/dev/null || true
       say -v "$voice" -r "$rate" "$summary" &
     fi
   fi
 
-  # Log to speech history (silent failure)
-  echo "$summary" | node "${INSTALL_DIR}/lib/log-speech.mjs" 2>/dev/null || true
-
   log "TTS started for final summary"
   log "=== Hook complete ==="
 
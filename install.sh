@@ -96,6 +96,7 @@ cp -r "${SOURCE_DIR}/lib" "$INSTALL_DIR/"
 cp -r "${SOURCE_DIR}/bin" "$INSTALL_DIR/"
 cp -r "${SOURCE_DIR}/hooks" "$INSTALL_DIR/"
 cp -r "${SOURCE_DIR}/setup" "$INSTALL_DIR/"
+cp -r "${SOURCE_DIR}/voices" "$INSTALL_DIR/"
 
 # Make scripts executable
 chmod +x "$INSTALL_DIR/bin/auto-speak"
@@ -144,10 +145,14 @@ node "$INSTALL_DIR/setup/configure-hooks.mjs"
 echo ""
 echo -e "${CYAN}Creating default configuration...${NC}"
 node -e "
-import { ensureConfigDir, saveConfig, DEFAULT_CONFIG } from '${INSTALL_DIR}/lib/config.mjs';
-ensureConfigDir();
-saveConfig(DEFAULT_CONFIG);
-console.log('Config created at: ~/.claude-auto-speak/config.json');
+import { updateConfig } from '${INSTALL_DIR}/lib/config.mjs';
+// Only settings that differ from the defaults are stored; keep existing ones
+try {
+  updateConfig(() => {});
+  console.log('Config created at: ~/.claude-auto-speak/config.json');
+} catch (err) {
+  console.error('Left ~/.claude-auto-speak/config.json as it is: ' + err.message);
+}
 "
 
 # Offer Ollama setup
@@ -0,0 +1,180 @@
+/**
+ * On-disk cache of synthesized speech
+ *
+ * Progress phrases and acknowledgments repeat constantly; with Piper or
+ * VieNeu every repeat used to cost a full synthesis run. Normalized WAVs
+ * (lib/wav.mjs) are stored under CACHE_DIR, named by a hash of everything
+ * that shapes the audio: engine, voice, model, rate, language and text.
+ * A file's mtime records its last use; the least recently used files are
+ * evicted once the cache grows past cache.maxSizeMB.
+ *
+ * Config:
+ *
+ *   "cache": {
+ *     "enabled": true,
+ *     "maxSizeMB": 50,
+ *     "prewarm": true    // Synthesize PROGRESS_PHRASES after voice changes
+ *   }
+ */
+
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, statSync, unlinkSync, utimesSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+import { createLogger } from "./logger.mjs";
+
+export const CACHE_DIR = join(homedir(), ".claude-auto-speak", "cache", "audio");
+
+// Keep in sync with PHRASES in lib/progress-timer.sh
+export const PROGRESS_PHRASES = ["Still working", "Processing", "Almost there", "Working on it"];
+
+const logger = createLogger("cache");
+
+/**
+ * Cache settings with defaults filled in
+ */
+export function cacheSettings(config) {
+  return { enabled: true, maxSizeMB: 50, prewarm: true, ...config?.cache };
+}
+
+/**
+ * Normalize text for the cache key
+ * Only differences that cannot change the audio are removed
+ */
+export function normalizeCacheText(text) {
+  return text.normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Hash the parts that identify a piece of audio
+ *
+ * @param {object} identity - { engine, voice, model, rate, language, text, ... }
+ * @returns {string} Hex key, also the file name
+ */
+export function cacheKey(identity) {
+  const sorted = Object.fromEntries(Object.entries(identity).sort(([a], [b]) => a.localeCompare(b)));
+  return createHash("sha256").update(JSON.stringify(sorted)).digest("hex");
+}
+
+function cacheFile(key) {
+  return join(CACHE_DIR, `${key}.wav`);
+}
+
+/**
+ * Read a cached WAV, marking it as recently used
+ *
+ * @returns {Buffer|null}
+ */
+export function readCache(key) {
+  const file = cacheFile(key);
+  try {
+    const wav = readFileSync(file);
+    const now = new Date();
+    utimesSync(file, now, now);
+    return wav;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Store a WAV, then evict the least recently used entries over the cap
+ * Never throws - a cache that cannot be written is just a slower cache
+ */
+export function writeCache(key, wav, config) {
+  try {
+    mkdirSync(CACHE_DIR, { recursive: true });
+    // Write then rename, so a concurrent reader never sees half a file
+    const tempFile = `${cacheFile(key)}.${process.pid}.tmp`;
+    writeFileSync(tempFile, wav);
+    renameSync(tempFile, cacheFile(key));
+    evict(cacheSettings(config).maxSizeMB * 1024 * 1024);
+  } catch (err) {
+    logger.warn(`Failed to write cache entry: ${err.message}`);
+  }
+}
+
+/**
+ * List cache entries, least recently used first
+ */
+function listEntries() {
+  if (!existsSync(CACHE_DIR)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const name of readdirSync(CACHE_DIR)) {
+    if (!name.endsWith(".wav")) continue;
+    try {
+      const { size, mtimeMs } = statSync(join(CACHE_DIR, name));
+      entries.push({ file: join(CACHE_DIR, name), size, usedAt: mtimeMs });
+    } catch (err) {
+      // Evicted by another process
+    }
+  }
+  return entries.sort((a, b) => a.usedAt - b.usedAt);
+}
+
+/**
+ * Delete least recently used entries until the cache fits maxBytes
+ *
+ * @returns {number} Entries deleted
+ */
+export function evict(maxBytes) {
+  const entries = listEntries();
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let deleted = 0;
+
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    try {
+      unlinkSync(entry.file);
+      total -= entry.size;
+      deleted++;
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  if (deleted > 0) {
+    logger.debug(`Evicted ${deleted} entries`, { bytes: total });
+  }
+  return deleted;
+}
+
+/**
+ * Summarize the cache for `auto-speak cache stats`
+ *
+ * @returns {{entries: number, bytes: number, oldest: number|null, newest: number|null}}
+ */
+export function getCacheStats() {
+  const entries = listEntries();
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    oldest: entries[0]?.usedAt ?? null,
+    newest: entries[entries.length - 1]?.usedAt ?? null,
+  };
+}
+
+/**
+ * Delete every cache entry
+ *
+ * @returns {number} Entries deleted
+ */
+export function clearCache() {
+  return evict(-1);
+}
+
+export default {
+  CACHE_DIR,
+  PROGRESS_PHRASES,
+  cacheSettings,
+  normalizeCacheText,
+  cacheKey,
+  readCache,
+  writeCache,
+  evict,
+  getCacheStats,
+  clearCache,
+};
@@ -0,0 +1,124 @@
+/**
+ * Allowed values of config keys that belong to other modules
+ *
+ * The config schema validates engine names, players, LLM providers and
+ * verbosity levels, but the modules that implement them load engines,
+ * spawn processes or talk to servers. Their names live here instead, in a
+ * module that imports nothing but node built-ins, so reading config (every
+ * get_config call from the bash hooks) never loads them. The owning
+ * modules import and re-export these lists.
+ */
+
+import { existsSync, readdirSync } from "fs";
+import { homedir } from "os";
+import { basename, join } from "path";
+
+/**
+ * Built-in TTS engines (lib/engines/)
+ */
+export const BUILTIN_ENGINES = ["macos", "piper", "espeak-ng", "vieneu", "http", "print"];
+
+/**
+ * Third-party engines, one <name>.mjs per engine
+ */
+export const ENGINES_DIR = join(homedir(), ".claude-auto-speak", "engines");
+
+// Engine names double as file names and config values
+export const ENGINE_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * What a command engine's command produces (lib/engines/command.mjs)
+ */
+export const COMMAND_OUTPUTS = ["wav", "speaker"];
+
+/**
+ * Audio players (lib/playback.mjs)
+ */
+export const PLAYER_NAMES = ["afplay", "pw-play", "paplay", "aplay", "ffplay"];
+
+/**
+ * LLM providers and tasks (lib/llm-client.mjs)
+ */
+export const LLM_PROVIDERS = ["ollama", "ollama-chat", "openai"];
+export const LLM_TASKS = ["summary", "acknowledgment", "translation"];
+
+/**
+ * Summary verbosity levels (lib/verbosity.mjs)
+ */
+export const VERBOSITY_NAMES = ["terse", "brief", "detailed"];
+
+// Command engine definitions from config layers, by name
+const commandEngines = new Map();
+
+/**
+ * List third-party engine files (name -> path), without loading them
+ */
+export function listUserEngineFiles() {
+  if (!existsSync(ENGINES_DIR)) {
+    return {};
+  }
+
+  const files = {};
+  for (const file of readdirSync(ENGINES_DIR)) {
+    const name = basename(file, ".mjs");
+    if (file.endsWith(".mjs") && ENGINE_NAME.test(name)) {
+      files[name] = join(ENGINES_DIR, file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Declare command engines from a config layer's commandEngines map
+ * Called while config layers are read, so ttsEngine can name them; the
+ * engine registry (lib/tts-engines.mjs) builds the engines when first asked.
+ * Later layers replace earlier definitions of the same name.
+ *
+ * @param {object} definitions - commandEngines map (name -> definition)
+ * @returns {Array<string>} Names skipped because a built-in or third-party
+ *   engine already has them
+ */
+export function declareCommandEngines(definitions = {}) {
+  const userFiles = listUserEngineFiles();
+  const skipped = [];
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (BUILTIN_ENGINES.includes(name) || userFiles[name]) {
+      skipped.push(name);
+      continue;
+    }
+    commandEngines.set(name, definition);
+  }
+  return skipped;
+}
+
+/**
+ * Command engine definitions declared so far (name -> definition)
+ */
+export function declaredCommandEngines() {
+  return new Map(commandEngines);
+}
+
+/**
+ * Names of all known engines: built-in, third-party and command engines
+ * Synchronous (third-party names come from file names), so the config
+ * schema can use it to validate ttsEngine
+ */
+export function listEngineNames() {
+  return [...new Set([...BUILTIN_ENGINES, ...Object.keys(listUserEngineFiles()), ...commandEngines.keys()])];
+}
+
+export default {
+  BUILTIN_ENGINES,
+  ENGINES_DIR,
+  ENGINE_NAME,
+  COMMAND_OUTPUTS,
+  PLAYER_NAMES,
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  VERBOSITY_NAMES,
+  listUserEngineFiles,
+  declareCommandEngines,
+  declaredCommandEngines,
+  listEngineNames,
+};
@@ -0,0 +1,723 @@
+/**
+ * Configuration schema for Claude Auto-Speak
+ * Declares the type, range and allowed values of every config key,
+ * plus forward migrations between config versions
+ */
+
+import { LOG_LEVELS } from "./logger.mjs";
+import {
+  COMMAND_OUTPUTS,
+  PLAYER_NAMES,
+  LLM_PROVIDERS,
+  VERBOSITY_NAMES,
+  listEngineNames,
+} from "./config-enums.mjs";
+
+/**
+ * Current config schema version
+ * Bump this and add an entry to MIGRATIONS when the config shape changes
+ */
+export const CONFIG_VERSION = 3;
+
+/**
+ * Multilingual modes and supported target languages
+ */
+export const MULTILINGUAL_MODES = ["native", "translate", "auto"];
+export const TARGET_LANGUAGES = ["vi", "zh"];
+
+/**
+ * Days of the week for quiet hours, and what may still speak during them
+ */
+export const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+export const QUIET_LEVELS = ["silent", "failures"];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * VieNeu-TTS model variants
+ */
+export const VIENEU_MODELS = ["vieneu-0.3b", "vieneu-0.5b"];
+
+/**
+ * HTTP speech server request styles and audio formats
+ */
+export const HTTP_APIS = ["openai", "plain"];
+export const HTTP_FORMATS = ["wav", "mp3", "flac", "opus", "aac"];
+
+/**
+ * Per-task LLM settings; null falls back to the shared ones
+ */
+const LLM_TASK = {
+  type: "object",
+  properties: {
+    provider: { type: "string", nullable: true, enum: LLM_PROVIDERS },
+    baseUrl: { type: "string", nullable: true, pattern: /^https?:\/\/\S+$/ },
+    apiKey: { type: "string", nullable: true },
+    model: { type: "string", nullable: true },
+    timeout: { type: "integer", nullable: true, min: 1000, max: 300000 },
+  },
+};
+
+/**
+ * Print engine output formats
+ */
+export const PRINT_FORMATS = ["text", "json"];
+
+/**
+ * An engine name: built-in engines, ~/.claude-auto-speak/engines/ and
+ * commandEngines
+ */
+const ENGINE_NAME = {
+  type: "string",
+  get enum() {
+    return listEngineNames();
+  },
+};
+
+/**
+ * A pronunciation lexicon rule (see lib/lexicon.mjs)
+ */
+const LEXICON_RULE = {
+  type: "object",
+  required: ["say"],
+  properties: {
+    say: { type: "string" },
+    caseSensitive: { type: "boolean" },
+    regex: { type: "boolean" },
+    engine: { type: "string" },
+    language: { type: "string" },
+  },
+};
+
+/**
+ * Schema for every config key
+ *
+ * Each entry describes one key:
+ *   type       - "boolean" | "string" | "integer" | "number" | "object" | "array"
+ *   nullable   - null is an accepted value
+ *   enum       - list of allowed values (may be a getter, for runtime lists)
+ *   min / max  - inclusive numeric bounds
+ *   pattern    - RegExp a string value must match
+ *   properties - schema of a nested object's keys
+ *   required   - keys a nested object must contain
+ *   values     - schema applied to every value of a free-form map
+ *   items      - schema applied to every element of an array
+ *   minItems   - minimum length of an array
+ *   oneOf      - alternative schemas of different types; the value must
+ *                match the one of its own type (e.g. a string or an array)
+ */
+export const CONFIG_SCHEMA = {
+  configVersion: { type: "integer", min: 1 },
+  enabled: { type: "boolean" },
+  activeProfile: { type: "string", nullable: true, pattern: /^[A-Za-z0-9_-]+$/ },
+  // One engine, or an ordered list to try until one is available and works
+  ttsEngine: {
+    oneOf: [ENGINE_NAME, { type: "array", minItems: 1, items: ENGINE_NAME }],
+  },
+  commandEngines: {
+    type: "object",
+    values: {
+      type: "object",
+      required: ["command"],
+      properties: {
+        command: { type: "array", items: { type: "string" } },
+        output: { type: "string", enum: COMMAND_OUTPUTS },
+        description: { type: "string" },
+        voice: { type: "string", nullable: true },
+        voices: { type: "array", items: { type: "string" } },
+        timeout: { type: "integer", min: 1000, max: 600000 },
+      },
+    },
+  },
+  dryRun: { type: "boolean" },
+  voice: { type: "string" },
+  rate: { type: "integer", min: 50, max: 500 },
+  piperPath: { type: "string", nullable: true },
+  piperVoice: { type: "string", nullable: true },
+  espeakPath: { type: "string", nullable: true },
+  espeakVoice: { type: "string", nullable: true },
+  vieneuPath: { type: "string", nullable: true },
+  vieneuVoice: { type: "string", nullable: true },
+  vieneuModel: { type: "string", enum: VIENEU_MODELS },
+  // Spoken forms by word or pattern: a string, a rule, or rules to pick
+  // from by engine and language; null removes an entry
+  lexicon: {
+    type: "object",
+    values: {
+      nullable: true,
+      oneOf: [{ type: "string" }, LEXICON_RULE, { type: "array", minItems: 1, items: LEXICON_RULE }],
+    },
+  },
+  playback: {
+    type: "object",
+    properties: {
+      player: { type: "string", enum: ["auto", ...PLAYER_NAMES] },
+      device: { type: "string", nullable: true },
+    },
+  },
+  streaming: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      minChunkChars: { type: "integer", min: 0, max: 1000 },
+    },
+  },
+  cache: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      maxSizeMB: { type: "integer", min: 1, max: 10240 },
+      prewarm: { type: "boolean" },
+    },
+  },
+  worker: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      idleSeconds: { type: "integer", min: 10, max: 86400 },
+      timeoutSeconds: { type: "integer", min: 1, max: 600 },
+    },
+  },
+  http: {
+    type: "object",
+    properties: {
+      baseUrl: { type: "string", pattern: /^https?:\/\/\S+$/ },
+      api: { type: "string", enum: HTTP_APIS },
+      model: { type: "string" },
+      voice: { type: "string" },
+      responseFormat: { type: "string", enum: HTTP_FORMATS },
+      speed: { type: "number", nullable: true, min: 0.25, max: 4 },
+      apiKey: { type: "string", nullable: true },
+      timeout: { type: "integer", min: 1000, max: 300000 },
+    },
+  },
+  print: {
+    type: "object",
+    properties: {
+      output: { type: "string", nullable: true },
+      format: { type: "string", enum: PRINT_FORMATS },
+    },
+  },
+  ollamaUrl: { type: "string", pattern: /^https?:\/\/\S+$/ },
+  ollamaModel: { type: "string" },
+  useLLM: { type: "boolean" },
+  fallbackToRegex: { type: "boolean" },
+  verbosity: { type: "string", enum: VERBOSITY_NAMES },
+  llm: {
+    type: "object",
+    properties: {
+      provider: { type: "string", enum: LLM_PROVIDERS },
+      baseUrl: { type: "string", nullable: true, pattern: /^https?:\/\/\S+$/ },
+      apiKey: { type: "string", nullable: true },
+      tasks: {
+        type: "object",
+        properties: {
+          summary: LLM_TASK,
+          acknowledgment: LLM_TASK,
+          translation: LLM_TASK,
+        },
+      },
+    },
+  },
+  acknowledgment: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+    },
+  },
+  progress: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      intervalSeconds: { type: "integer", min: 5, max: 120 },
+    },
+  },
+  skipSessionStart: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      minUserMessages: { type: "integer", min: 0 },
+    },
+  },
+  multilingual: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      mode: { type: "string", enum: MULTILINGUAL_MODES },
+      targetLanguage: { type: "string", nullable: true, enum: TARGET_LANGUAGES },
+      autoDetect: { type: "boolean" },
+      voiceByLanguage: { type: "object", values: { type: "string" } },
+    },
+  },
+  translation: {
+    type: "object",
+    properties: {
+      model: { type: "string" },
+      timeout: { type: "integer", min: 1000, max: 120000 },
+      fallbackToOriginal: { type: "boolean" },
+    },
+  },
+  history: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      maxEntries: { type: "integer", min: 1 },
+      autoCleanupDays: { type: "integer", min: 0 },
+    },
+  },
+  schedule: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      quietHours: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["start", "end"],
+          properties: {
+            days: { type: "array", items: { type: "string", enum: WEEKDAYS } },
+            start: { type: "string", pattern: TIME_OF_DAY },
+            end: { type: "string", pattern: TIME_OF_DAY },
+          },
+        },
+      },
+      quietLevel: { type: "string", enum: QUIET_LEVELS },
+    },
+  },
+  logging: {
+    type: "object",
+    properties: {
+      level: { type: "string", enum: LOG_LEVELS },
+      maxSizeKB: { type: "integer", min: 16, max: 102400 },
+      maxFiles: { type: "integer", min: 1, max: 20 },
+    },
+  },
+};
+
+/**
+ * Lexicon entries shipped as defaults up to version 2
+ */
+const SHIPPED_LEXICON = {
+  kubectl: "cube control",
+  nginx: "engine x",
+  PostgreSQL: "postgres Q L",
+  OAuth: "oh auth",
+  regex: "rej ex",
+  JSON: "jason",
+};
+
+/**
+ * Forward migrations, keyed by the version they upgrade FROM
+ * Each migration receives a copy of the raw config and the migration
+ * context ({ defaults }, see migrateConfig()) and returns the upgraded one
+ */
+export const MIGRATIONS = {
+  // v1 (unversioned) -> v2: vieneu-tts.py accepted bare "0.3b"/"0.5b" model
+  // names, normalize them to the "vieneu-" prefixed form the CLI validates
+  1: (config) => {
+    if (typeof config.vieneuModel === "string" && /^0\.[35]b$/.test(config.vieneuModel)) {
+      config.vieneuModel = `vieneu-${config.vieneuModel}`;
+    }
+    return config;
+  },
+  // v2 -> v3: the global config was saved with every default merged in,
+  // pinning them. Drop values equal to the defaults, and the lexicon entries
+  // that used to ship, so default changes reach the file again.
+  2: (config, { defaults }) => {
+    if (!defaults) {
+      return config;
+    }
+    if (isPlainObject(config.lexicon)) {
+      config.lexicon = { ...config.lexicon };
+      for (const [word, say] of Object.entries(SHIPPED_LEXICON)) {
+        if (config.lexicon[word] === say) {
+          delete config.lexicon[word];
+        }
+      }
+    }
+    return withoutDefaults(config, defaults);
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * A copy of settings without the values equal to the defaults
+ * Objects left empty are dropped
+ */
+function withoutDefaults(settings, defaults) {
+  const result = {};
+  for (const [key, value] of Object.entries(settings)) {
+    const fallback = defaults?.[key];
+    if (isPlainObject(value) && isPlainObject(fallback)) {
+      const nested = withoutDefaults(value, fallback);
+      if (Object.keys(nested).length > 0) {
+        result[key] = nested;
+      }
+    } else if (key === "configVersion" || JSON.stringify(value) !== JSON.stringify(fallback)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Upgrade a raw config object to CONFIG_VERSION
+ *
+ * @param {object} raw - Config as read from disk
+ * @param {object} context - { defaults }: DEFAULT_CONFIG for the global
+ *   config file, null for project files and profiles
+ * @returns {{config: object, fromVersion: number, migrated: boolean}}
+ */
+export function migrateConfig(raw, context = { defaults: null }) {
+  let config = { ...raw };
+  const fromVersion = Number.isInteger(raw.configVersion) ? raw.configVersion : 1;
+  let version = fromVersion;
+
+  while (version < CONFIG_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (migrate) {
+      config = migrate(config, context);
+    }
+    version++;
+  }
+
+  config.configVersion = Math.max(version, fromVersion);
+
+  return { config, fromVersion, migrated: fromVersion < CONFIG_VERSION };
+}
+
+/**
+ * Look up the schema entry for a dot-separated config path
+ *
+ * @param {string} path - e.g. "progress.intervalSeconds"
+ * @returns {object|null} Schema entry, or null if the path is not declared
+ */
+export function getSchemaForPath(path) {
+  let schema = { type: "object", properties: CONFIG_SCHEMA };
+
+  for (const part of path.split(".")) {
+    if (schema.oneOf && /^\d+$/.test(part)) {
+      schema = schema.oneOf.find((alternative) => alternative.items) || schema;
+    }
+    if (schema.properties?.[part]) {
+      schema = schema.properties[part];
+    } else if (schema.items && /^\d+$/.test(part)) {
+      schema = schema.items;
+    } else if (schema.values) {
+      schema = schema.values;
+    } else {
+      return null;
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * List every settable config path (leaf keys and free-form maps)
+ *
+ * @returns {Array<{path: string, schema: object}>}
+ */
+export function listSchemaPaths(properties = CONFIG_SCHEMA, prefix = "") {
+  const paths = [];
+  for (const [key, schema] of Object.entries(properties)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (schema.type === "object" && schema.properties) {
+      paths.push(...listSchemaPaths(schema.properties, path));
+    } else {
+      paths.push({ path, schema });
+    }
+  }
+  return paths;
+}
+
+/**
+ * Describe a schema entry in a few words, e.g. "integer 5-120"
+ */
+export function describeSchema(schema) {
+  if (schema.oneOf) {
+    return schema.oneOf.map(describeSchema).join(" | ");
+  }
+
+  let text = schema.type;
+
+  if (schema.enum) {
+    text = schema.enum.join(" | ");
+  } else if (schema.type === "object" && schema.values) {
+    text = `map of ${schema.values.type}`;
+  } else if (schema.type === "array") {
+    text = `array of ${schema.items.type}`;
+  } else if (schema.min !== undefined && schema.max !== undefined) {
+    text += ` ${schema.min}-${schema.max}`;
+  } else if (schema.min !== undefined) {
+    text += ` >= ${schema.min}`;
+  }
+
+  return schema.nullable ? `${text} | null` : text;
+}
+
+/**
+ * Convert a command-line string to the type a config path expects
+ * "true"/"on"/"false"/"off" become booleans, numbers are parsed, "null"
+ * becomes null, and JSON objects/arrays are parsed. Strings pass through,
+ * except that a comma-separated list is a list where a list of strings is
+ * accepted ("piper,say" for ttsEngine).
+ *
+ * @param {string} path - Dot-separated config path
+ * @param {string} raw - Value as typed by the user
+ * @returns {*} Coerced value (validate it with checkValue)
+ */
+export function coerceValue(path, raw) {
+  const schema = getSchemaForPath(path);
+  const text = String(raw).trim();
+
+  if (text === "null" && (!schema || schema.nullable)) {
+    return null;
+  }
+
+  let type = schema?.type;
+  if (schema?.oneOf) {
+    // JSON for an object or array, else the first scalar alternative
+    const json = /^[[{]/.test(text);
+    const list = schema.oneOf.find((alternative) => alternative.items?.type === "string");
+    if (!json && list && text.includes(",")) {
+      return text
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+    type = schema.oneOf.find((alternative) => ["object", "array"].includes(alternative.type) === json)?.type;
+  }
+
+  switch (type) {
+    case "boolean":
+      if (["true", "on", "yes", "1"].includes(text.toLowerCase())) return true;
+      if (["false", "off", "no", "0"].includes(text.toLowerCase())) return false;
+      return raw;
+    case "integer":
+    case "number":
+      return text !== "" && !Number.isNaN(Number(text)) ? Number(text) : raw;
+    case "object":
+    case "array":
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return raw;
+      }
+    case "string":
+      return raw;
+    default:
+      // Undeclared path - best effort JSON, else string
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return raw;
+      }
+  }
+}
+
+/**
+ * Validate a config object against the schema
+ *
+ * @param {object} config - Config to validate
+ * @returns {Array<{path: string, message: string}>} Problems found (empty if valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+  validateObject(config, CONFIG_SCHEMA, "", errors);
+  return errors;
+}
+
+/**
+ * Validate a single value against a schema entry
+ *
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema entry
+ * @returns {string|null} Error message, or null if valid
+ */
+export function checkValue(value, schema) {
+  if (value === null) {
+    return schema.nullable ? null : "must not be null";
+  }
+
+  if (schema.oneOf) {
+    const alternative = pickAlternative(value, schema);
+    if (!alternative) {
+      return `must be ${describeSchema(schema)} (got ${describe(value)})`;
+    }
+    const errors = [];
+    validateEntry(value, alternative, "", errors);
+    if (errors.length === 0) {
+      return null;
+    }
+    const [{ path, message }] = errors;
+    return path ? `item ${path.slice(1)} ${message}` : message;
+  }
+
+  switch (schema.type) {
+    case "boolean":
+      if (typeof value !== "boolean") return `must be a boolean (got ${describe(value)})`;
+      break;
+    case "string":
+      if (typeof value !== "string") return `must be a string (got ${describe(value)})`;
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return `has an invalid format (got ${JSON.stringify(value)})`;
+      }
+      break;
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        return `must be a number (got ${describe(value)})`;
+      }
+      if (schema.type === "integer" && !Number.isInteger(value)) {
+        return `must be a whole number (got ${value})`;
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return `must be at least ${schema.min} (got ${value})`;
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return `must be at most ${schema.max} (got ${value})`;
+      }
+      break;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return `must be an object (got ${describe(value)})`;
+      }
+      break;
+    case "array":
+      if (!Array.isArray(value)) {
+        return `must be an array (got ${describe(value)})`;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return `must have at least ${schema.minItems} ${schema.minItems === 1 ? "item" : "items"}`;
+      }
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`;
+  }
+
+  return null;
+}
+
+function validateObject(obj, properties, prefix, errors) {
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const schema = properties[key];
+
+    if (!schema) {
+      const suggestion = closestKey(key, Object.keys(properties));
+      errors.push({
+        path,
+        message: suggestion ? `unknown key (did you mean ${suggestion}?)` : "unknown key",
+      });
+      continue;
+    }
+
+    validateEntry(value, schema, path, errors);
+  }
+}
+
+/**
+ * The alternative of a oneOf schema with the same type as the value
+ */
+function pickAlternative(value, schema) {
+  return schema.oneOf.find((alternative) => checkValue(value, { type: alternative.type }) === null) || null;
+}
+
+function validateEntry(value, schema, path, errors) {
+  const alternative = schema.oneOf && value !== null ? pickAlternative(value, schema) : null;
+  if (alternative) {
+    validateEntry(value, alternative, path, errors);
+    return;
+  }
+
+  const message = checkValue(value, schema);
+  if (message) {
+    errors.push({ path, message });
+    return;
+  }
+
+  if (schema.type === "array") {
+    value.forEach((item, index) => validateEntry(item, schema.items, `${path}.${index}`, errors));
+    return;
+  }
+
+  if (schema.type !== "object" || value === null) {
+    return;
+  }
+
+  for (const key of schema.required || []) {
+    if (!(key in value)) {
+      errors.push({ path: `${path}.${key}`, message: "is required" });
+    }
+  }
+
+  if (schema.properties) {
+    validateObject(value, schema.properties, path, errors);
+  } else if (schema.values) {
+    for (const [key, entry] of Object.entries(value)) {
+      validateEntry(entry, schema.values, `${path}.${key}`, errors);
+    }
+  }
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return "array";
+  return typeof value === "string" ? JSON.stringify(value) : typeof value;
+}
+
+/**
+ * Suggest a declared key for a likely typo (edit distance <= 2)
+ */
+function closestKey(key, candidates) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      prev = temp;
+    }
+  }
+
+  return row[b.length];
+}
+
+export default {
+  CONFIG_VERSION,
+  CONFIG_SCHEMA,
+  MIGRATIONS,
+  migrateConfig,
+  getSchemaForPath,
+  listSchemaPaths,
+  describeSchema,
+  coerceValue,
+  validateConfig,
+  checkValue,
+};
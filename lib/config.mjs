@@ -3,23 +3,58 @@
  * Handles reading/writing config from ~/.claude-auto-speak/config.json
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from "fs";
+import {
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  existsSync,
+  readdirSync,
+  unlinkSync,
+} from "fs";
 import { homedir } from "os";
-import { join } from "path";
+import { join, dirname, resolve, basename } from "path";
+import {
+  CONFIG_VERSION,
+  CONFIG_SCHEMA,
+  migrateConfig,
+  validateConfig,
+  getSchemaForPath,
+  coerceValue,
+  checkValue,
+} from "./config-schema.mjs";
+import { LOG_FILE, createLogger, configureLogger } from "./logger.mjs";
+import { declareCommandEngines } from "./config-enums.mjs";
 
 // Installation directory
 export const INSTALL_DIR = join(homedir(), ".claude-auto-speak");
 export const CONFIG_FILE = join(INSTALL_DIR, "config.json");
-export const LOG_FILE = join(INSTALL_DIR, "auto-speak.log");
+export { LOG_FILE };
 export const HISTORY_FILE = join(INSTALL_DIR, "speech-history.jsonl");
+// Per-project overrides, looked up from the project directory upwards
+export const PROJECT_CONFIG_NAME = ".claude-auto-speak.json";
+// Named profiles (partial configs), one <name>.json per profile
+export const PROFILES_DIR = join(INSTALL_DIR, "profiles");
+// Environment overrides: AUTO_SPEAK_TTS_ENGINE -> ttsEngine,
+// AUTO_SPEAK_MULTILINGUAL__TARGET_LANGUAGE -> multilingual.targetLanguage
+export const ENV_PREFIX = "AUTO_SPEAK_";
 
 /**
  * Default configuration
  */
 export const DEFAULT_CONFIG = {
+  configVersion: CONFIG_VERSION,
   enabled: false,
-  // TTS Engine: "macos" (default), "piper", or "espeak-ng"
+  // Named profile layered over the config (see `auto-speak profile`)
+  activeProfile: null,
+  // TTS Engine: "macos" (default), "piper", "espeak-ng", "vieneu", "http", "print",
+  // a custom engine or one of commandEngines
   ttsEngine: "macos",
+  // Local TTS tools wrapped with an argv template, by name
+  // e.g. { flite: { command: ["flite", "-t", "{text}", "-o", "{wav}"], output: "wav" } }
+  commandEngines: {},
+  // Print what would be spoken (engine, voice, language, timing) instead of
+  // playing audio, through hooks and the progress timer too (see print)
+  dryRun: false,
   // macOS say settings
   voice: "Samantha", // macOS voice
   rate: 175, // Words per minute
@@ -33,11 +68,69 @@ export const DEFAULT_CONFIG = {
   vieneuPath: null, // Path to vieneu virtual environment (auto-detected)
   vieneuVoice: null, // Name of cloned voice (e.g., "my_voice")
   vieneuModel: "vieneu-0.3b", // Model variant: "vieneu-0.3b" (faster) or "vieneu-0.5b" (higher quality)
+  // Pronunciation lexicon, applied before synthesis (see lib/lexicon.mjs)
+  // e.g. { kubectl: "cube control", nginx: "engine x" }
+  lexicon: {},
+  // HTTP speech server settings (OpenAI-compatible, Kokoro, Piper HTTP)
+  http: {
+    baseUrl: "http://localhost:8880/v1", // Server URL, including any /v1 prefix
+    api: "openai", // "openai": POST {baseUrl}/audio/speech with JSON, "plain": POST text to baseUrl
+    model: "tts-1", // Model name sent to the server
+    voice: "alloy", // Voice name sent to the server
+    responseFormat: "wav", // Audio format to request: wav, mp3, flac, opus or aac
+    speed: null, // Speaking speed (0.25-4.0), null for the server default
+    apiKey: null, // Sent as a Bearer token when set
+    timeout: 15000, // ms to wait for the server to respond, and between chunks of audio
+  },
+  // Print engine and dry runs (see lib/engines/print.mjs)
+  print: {
+    output: null, // File to append utterances to, null for stdout
+    format: "text", // "text" (one line each) or "json" (one object per line)
+  },
+  // Audio playback for engines that produce audio (see lib/playback.mjs)
+  playback: {
+    player: "auto", // "auto", "afplay", "pw-play", "paplay", "aplay" or "ffplay"
+    device: null, // Output device in the player's terms, null for the default
+  },
+  // Sentence-by-sentence synthesis for engines without direct playback
+  // (Piper, VieNeu, WAV command engines) - see lib/speech-pipeline.mjs
+  streaming: {
+    enabled: true,
+    minChunkChars: 20, // Shorter sentences are joined with the next
+  },
+  // Synthesized audio cache for engines without direct playback (see lib/audio-cache.mjs)
+  cache: {
+    enabled: true,
+    maxSizeMB: 50, // Least recently used audio is evicted past this size
+    prewarm: true, // Synthesize the progress phrases after voice changes
+  },
+  // Background process keeping Piper and VieNeu models loaded between
+  // utterances (see lib/synthesis-worker.mjs)
+  worker: {
+    enabled: true, // Off: run the engine once per utterance
+    idleSeconds: 300, // Shut down after this long without requests
+    timeoutSeconds: 30, // Restart an engine process stuck this long on one utterance
+  },
   // LLM Summarization
   ollamaUrl: "http://localhost:11434",
   ollamaModel: "qwen2.5:1.5b",
   useLLM: true, // Use Qwen for smart summarization
   fallbackToRegex: true, // Fall back to regex if LLM unavailable
+  // How much summaries say: "terse", "brief" or "detailed" (see lib/verbosity.mjs)
+  verbosity: "brief",
+  // LLM backend for summaries, acknowledgments and translation (see lib/llm-client.mjs)
+  llm: {
+    provider: "ollama", // "ollama", "ollama-chat" or "openai" (llama.cpp server and other /v1/chat/completions)
+    baseUrl: null, // null: ollamaUrl for Ollama, http://localhost:8080/v1 for openai
+    apiKey: null, // Sent as a Bearer token when set
+    // Per-task overrides of provider, baseUrl, apiKey, model and timeout (ms);
+    // unset models use ollamaModel (translation: translation.model)
+    tasks: {
+      summary: { model: null, timeout: 10000 },
+      acknowledgment: { model: null, timeout: 8000 },
+      translation: { model: null, timeout: null }, // null timeout: translation.timeout
+    },
+  },
   // Acknowledgment settings (speaks first response)
   acknowledgment: {
     enabled: true, // Speak Claude's first response as acknowledgment
@@ -77,6 +170,18 @@ export const DEFAULT_CONFIG = {
     maxEntries: 10000, // Auto-rotate after 10k entries
     autoCleanupDays: 90, // Delete entries older than 90 days
   },
+  // Quiet hours (see also `auto-speak snooze`)
+  schedule: {
+    enabled: true, // Respect quiet hours and snoozes
+    quietHours: [], // e.g. [{ days: ["mon", "tue"], start: "22:00", end: "08:00" }]
+    quietLevel: "silent", // 'silent' | 'failures' - what still speaks while quiet
+  },
+  // Structured log (auto-speak.jsonl, see `auto-speak logs`)
+  logging: {
+    level: "info", // 'debug' | 'info' | 'warn' | 'error'
+    maxSizeKB: 1024, // Rotate the log after 1MB
+    maxFiles: 3, // Rotated files to keep
+  },
 };
 
 /**
@@ -89,29 +194,465 @@ export function ensureConfigDir() {
 }
 
 /**
- * Load configuration
+ * Deep merge plain objects - nested objects are merged key by key,
+ * arrays and scalars from the override replace the base value
  */
-export function loadConfig() {
-  ensureConfigDir();
+export function deepMerge(base, override) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Read a value by dot path (e.g. "progress.intervalSeconds")
+ */
+export function getPath(obj, path) {
+  return path.split(".").reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Set a value by dot path, creating intermediate objects as needed
+ */
+export function setPath(obj, path, value) {
+  const parts = path.split(".");
+  let target = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(target[part])) {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+  return obj;
+}
+
+/**
+ * Remove a value by dot path
+ *
+ * @returns {boolean} true if the path existed
+ */
+export function unsetPath(obj, path) {
+  const parts = path.split(".");
+  const parent = parts.length === 1 ? obj : getPath(obj, parts.slice(0, -1).join("."));
+  const key = parts[parts.length - 1];
+  if (!isPlainObject(parent) || !(key in parent)) {
+    return false;
+  }
+  delete parent[key];
+  return true;
+}
+
+/**
+ * Read and migrate a raw config file (without defaults applied)
+ *
+ * @param {string} file - Config file path (defaults to the global config)
+ * @returns {{config: object, fromVersion: number, migrated: boolean}|null}
+ *   null if the file does not exist; throws if it cannot be parsed
+ */
+export function readConfigFile(file = CONFIG_FILE) {
+  if (!existsSync(file)) {
+    return null;
+  }
+
+  const parsed = JSON.parse(readFileSync(file, "utf-8"));
+  if (!isPlainObject(parsed)) {
+    throw new Error(`${basename(file)} must contain a JSON object`);
+  }
+
+  // Only the global file was ever written with the defaults merged in
+  return migrateConfig(parsed, { defaults: file === CONFIG_FILE ? DEFAULT_CONFIG : null });
+}
+
+/**
+ * Find the project config file for a directory
+ * Looks for .claude-auto-speak.json in the directory and each parent
+ *
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null} Path to the project config, or null if none
+ */
+export function findProjectConfig(startDir) {
+  if (!startDir) {
+    return null;
+  }
+
+  let dir = resolve(startDir);
+  while (true) {
+    const candidate = join(dir, PROJECT_CONFIG_NAME);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Get the working directory a Claude Code session ran in
+ * Transcript entries carry a "cwd" field; the most recent one wins
+ *
+ * @param {string} transcriptPath - Path to transcript JSONL file
+ * @returns {string|null} Working directory, or null if not recorded
+ */
+export function getTranscriptCwd(transcriptPath) {
+  try {
+    const lines = readFileSync(transcriptPath, "utf-8").trim().split("\n");
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (typeof entry.cwd === "string" && entry.cwd) {
+          return entry.cwd;
+        }
+      } catch (e) {
+        // Skip malformed lines
+      }
+    }
+  } catch (err) {
+    // Unreadable transcript
+  }
+  return null;
+}
+
+/**
+ * Remove invalid values from a config layer so they fall through to the
+ * layer below. Unknown keys are left untouched (reported by validate).
+ * An invalid array element drops the whole array.
+ */
+function stripInvalid(layer) {
+  for (const { path } of validateConfig(layer)) {
+    if (!getSchemaForPath(path)) {
+      continue;
+    }
+
+    let parts = path.split(".");
+    const indexAt = parts.findIndex((part) => /^\d+$/.test(part));
+    if (indexAt !== -1) {
+      parts = parts.slice(0, indexAt);
+    }
+    if (getPath(layer, parts.join(".")) === undefined) {
+      continue; // Already removed with its parent
+    }
 
-  if (!existsSync(CONFIG_FILE)) {
-    return { ...DEFAULT_CONFIG };
+    let target = layer;
+    for (const part of parts.slice(0, -1)) {
+      target = target[part];
+    }
+    delete target[parts[parts.length - 1]];
   }
 
+  return layer;
+}
+
+/**
+ * Read one config file as a merge layer, skipping it if unreadable
+ */
+function readLayer(name, file) {
   try {
-    const data = readFileSync(CONFIG_FILE, "utf-8");
-    return { ...DEFAULT_CONFIG, ...JSON.parse(data) };
+    const result = readConfigFile(file);
+    if (!result) {
+      return null;
+    }
+    // Declare command engines first, so ttsEngine may name one
+    if (result.config.commandEngines) {
+      const { commandEngines } = stripInvalid({ commandEngines: structuredClone(result.config.commandEngines) });
+      for (const name of declareCommandEngines(commandEngines)) {
+        log(`Ignoring commandEngines.${name}: an engine named ${name} already exists`, "warn");
+      }
+    }
+    const data = stripInvalid(result.config);
+    if (name !== "global") {
+      delete data.configVersion;
+    }
+    return { name, file, data };
   } catch (err) {
-    return { ...DEFAULT_CONFIG };
+    log(`Ignoring ${file}: ${err.message}`, "warn");
+    return null;
+  }
+}
+
+/**
+ * List the dot paths of every leaf value in a config object
+ */
+function leafPaths(obj, prefix = "") {
+  const paths = [];
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      paths.push(...leafPaths(value, path));
+    } else {
+      paths.push(path);
+    }
   }
+  return paths;
 }
 
 /**
- * Save configuration
+ * Get the file path of a named profile
  */
-export function saveConfig(config) {
+export function getProfilePath(name) {
+  return join(PROFILES_DIR, `${name}.json`);
+}
+
+/**
+ * Check that a profile name is safe to use as a file name
+ */
+export function isValidProfileName(name) {
+  return typeof name === "string" && /^[A-Za-z0-9_-]+$/.test(name);
+}
+
+/**
+ * List the names of all saved profiles
+ */
+export function listProfiles() {
+  if (!existsSync(PROFILES_DIR)) {
+    return [];
+  }
+
+  return readdirSync(PROFILES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort();
+}
+
+/**
+ * Read a profile's raw settings
+ *
+ * @returns {object|null} Profile settings, or null if it does not exist
+ */
+export function readProfile(name) {
+  if (!isValidProfileName(name)) {
+    return null;
+  }
+  const result = readConfigFile(getProfilePath(name));
+  if (!result) {
+    return null;
+  }
+  delete result.config.configVersion;
+  return result.config;
+}
+
+/**
+ * Save a profile's settings
+ */
+export function saveProfile(name, settings) {
+  if (!isValidProfileName(name)) {
+    throw new Error(`Invalid profile name: ${name}`);
+  }
+  mkdirSync(PROFILES_DIR, { recursive: true });
+  writeFileSync(getProfilePath(name), JSON.stringify(settings, null, 2));
+}
+
+/**
+ * Delete a profile
+ *
+ * @returns {boolean} true if the profile existed
+ */
+export function deleteProfile(name) {
+  const file = getProfilePath(name);
+  if (!isValidProfileName(name) || !existsSync(file)) {
+    return false;
+  }
+  unlinkSync(file);
+  return true;
+}
+
+/**
+ * Map an AUTO_SPEAK_* variable name to a config path
+ * "__" separates nesting levels; within a level, "_" separated words are
+ * matched case-insensitively against the declared keys
+ *
+ * @param {string} name - Environment variable name
+ * @returns {string|null} Dot path, or null if it names no config key
+ */
+export function envNameToPath(name) {
+  if (!name.startsWith(ENV_PREFIX)) {
+    return null;
+  }
+
+  const parts = [];
+  let schema = { type: "object", properties: CONFIG_SCHEMA };
+
+  for (const segment of name.slice(ENV_PREFIX.length).split("__")) {
+    const wanted = segment.replace(/_/g, "").toLowerCase();
+    if (!wanted) {
+      return null;
+    }
+    if (schema.properties) {
+      const key = Object.keys(schema.properties).find((k) => k.toLowerCase() === wanted);
+      if (!key) {
+        return null;
+      }
+      parts.push(key);
+      schema = schema.properties[key];
+    } else if (schema.values) {
+      // Free-form map keys (e.g. language codes) are lowercase
+      parts.push(segment.toLowerCase());
+      schema = schema.values;
+    } else {
+      return null;
+    }
+  }
+
+  return parts.join(".");
+}
+
+/**
+ * Build the environment override layer from AUTO_SPEAK_* variables
+ * Values are coerced to the key's declared type; invalid ones are ignored
+ */
+function readEnvLayer(env = process.env) {
+  const data = {};
+
+  for (const [name, raw] of Object.entries(env)) {
+    const path = envNameToPath(name);
+    if (!path || raw === undefined) {
+      continue;
+    }
+
+    const value = coerceValue(path, raw);
+    const error = checkValue(value, getSchemaForPath(path));
+    if (error) {
+      log(`Ignoring ${name}: ${error}`, "warn");
+      continue;
+    }
+    setPath(data, path, value);
+  }
+
+  return Object.keys(data).length > 0 ? { name: "env", file: null, data } : null;
+}
+
+/**
+ * Resolve the effective configuration
+ * Layers, lowest priority first: defaults, global config.json, project
+ * .claude-auto-speak.json (found from cwd upwards), active profile,
+ * AUTO_SPEAK_* environment variables
+ *
+ * The profile comes after the project so switching modes ("focus",
+ * "office") always wins over whatever a repository configures; the
+ * environment wins over everything for scripted sessions.
+ *
+ * @param {object} options
+ * @param {string} options.cwd - Project directory (default: $CLAUDE_PROJECT_DIR or process cwd)
+ * @param {boolean} options.project - Include the project layer (default: true)
+ * @param {string|null} options.profile - Profile to apply instead of activeProfile
+ *   (null for none)
+ * @param {boolean} options.env - Include AUTO_SPEAK_* overrides (default: true)
+ * @returns {{config: object, layers: Array, sources: object}} Effective config,
+ *   the layers that contributed, and the layer name each leaf path came from
+ */
+export function resolveConfig(options = {}) {
+  const cwd = options.cwd || process.env.CLAUDE_PROJECT_DIR || process.cwd();
+  const layers = [{ name: "default", file: null, data: DEFAULT_CONFIG }];
+
+  const globalLayer = readLayer("global", CONFIG_FILE);
+  if (globalLayer) {
+    layers.push(globalLayer);
+  }
+
+  if (options.project !== false) {
+    const projectFile = findProjectConfig(cwd);
+    const projectLayer = projectFile && readLayer("project", projectFile);
+    if (projectLayer) {
+      layers.push(projectLayer);
+    }
+  }
+
+  const envLayer = options.env !== false ? readEnvLayer() : null;
+
+  const merge = () => {
+    let config = {};
+    const sources = {};
+    for (const layer of envLayer ? [...layers, envLayer] : layers) {
+      config = deepMerge(config, structuredClone(layer.data));
+      for (const path of leafPaths(layer.data)) {
+        sources[path] = layer.name;
+      }
+    }
+    return { config, sources };
+  };
+
+  let { config, sources } = merge();
+
+  const profile = options.profile !== undefined ? options.profile : config.activeProfile;
+  if (profile) {
+    const profileLayer = isValidProfileName(profile) && readLayer("profile", getProfilePath(profile));
+    if (profileLayer) {
+      delete profileLayer.data.activeProfile;
+      layers.push(profileLayer);
+      ({ config, sources } = merge());
+    } else {
+      log(`Active profile not found: ${profile}`, "warn");
+    }
+  }
+
+  return { config, layers: envLayer ? [...layers, envLayer] : layers, sources };
+}
+
+/**
+ * Load the effective configuration for a project
+ * Migrates each file to the current schema version, drops invalid values
+ * and deep merges the layers over the defaults
+ *
+ * @param {object} options - See resolveConfig()
+ */
+export function loadConfig(options = {}) {
   ensureConfigDir();
-  writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+  const { config } = resolveConfig(options);
+  configureLogger(config.logging);
+  return config;
+}
+
+/**
+ * Load defaults + global config only
+ * What config.json amounts to on its own, without project, profile and
+ * environment overrides. To change config.json, use updateConfig() or
+ * setConfigValue(): saving this would write every default into the file.
+ */
+export function loadGlobalConfig() {
+  return loadConfig({ project: false, profile: null, env: false });
+}
+
+/**
+ * Save the global config file
+ * Takes only the settings the file holds (see updateConfig()), never the
+ * merged config: defaults written into the file would shadow later changes
+ * to DEFAULT_CONFIG and show up as "global" in config --effective
+ *
+ * @param {object} settings - The file's settings
+ */
+export function saveConfig(settings) {
+  ensureConfigDir();
+  const { configVersion, ...rest } = settings;
+  const toSave = { configVersion: CONFIG_VERSION, ...rest };
+  writeFileSync(CONFIG_FILE, JSON.stringify(toSave, null, 2));
+}
+
+/**
+ * Change the settings in config.json and write them back
+ * The update receives the file's own settings (migrated, no defaults) and
+ * changes them in place
+ *
+ * @param {Function} update - (settings) => void
+ * @throws {Error} If config.json exists but cannot be parsed
+ */
+export function updateConfig(update) {
+  const settings = readConfigFile(CONFIG_FILE)?.config || {};
+  update(settings);
+  saveConfig(settings);
 }
 
 /**
@@ -123,12 +664,36 @@ export function getConfigValue(key) {
 }
 
 /**
- * Set a config value
+ * Set a config value in config.json
+ *
+ * @param {string} path - Dot path, e.g. "progress.intervalSeconds"
  */
-export function setConfigValue(key, value) {
-  const config = loadConfig();
-  config[key] = value;
-  saveConfig(config);
+export function setConfigValue(path, value) {
+  updateConfig((settings) => setPath(settings, path, value));
+}
+
+/**
+ * Remove a value from config.json, so the default applies again
+ * Objects left empty are removed too
+ *
+ * @param {string} path - Dot path
+ * @returns {boolean} true if config.json had the path
+ */
+export function unsetConfigValue(path) {
+  let existed = false;
+  updateConfig((settings) => {
+    existed = unsetPath(settings, path);
+    const parts = path.split(".");
+    for (let i = parts.length - 1; i > 0; i--) {
+      const parent = parts.slice(0, i).join(".");
+      const value = getPath(settings, parent);
+      if (!isPlainObject(value) || Object.keys(value).length > 0) {
+        break;
+      }
+      unsetPath(settings, parent);
+    }
+  });
+  return existed;
 }
 
 /**
@@ -152,21 +717,14 @@ export function disable() {
   setConfigValue("enabled", false);
 }
 
+const logger = createLogger("config");
+
 /**
- * Log a message to the log file
+ * Log a message to the structured log
+ * Prefer createLogger() from logger.mjs with your own component name
  */
-export function log(message) {
-  ensureConfigDir();
-  const timestamp = new Date().toISOString();
-  const logLine = `[${timestamp}] ${message}\n`;
-
-  try {
-    const fd = require("fs").openSync(LOG_FILE, "a");
-    require("fs").writeSync(fd, logLine);
-    require("fs").closeSync(fd);
-  } catch (err) {
-    // Silently fail logging
-  }
+export function log(message, level = "info") {
+  logger[level](message);
 }
 
 export default {
@@ -175,10 +733,31 @@ export default {
   LOG_FILE,
   HISTORY_FILE,
   DEFAULT_CONFIG,
+  PROJECT_CONFIG_NAME,
+  PROFILES_DIR,
+  ENV_PREFIX,
+  deepMerge,
+  getPath,
+  setPath,
+  unsetPath,
+  readConfigFile,
+  findProjectConfig,
+  getTranscriptCwd,
+  getProfilePath,
+  isValidProfileName,
+  listProfiles,
+  readProfile,
+  saveProfile,
+  deleteProfile,
+  envNameToPath,
+  resolveConfig,
   loadConfig,
+  loadGlobalConfig,
   saveConfig,
+  updateConfig,
   getConfigValue,
   setConfigValue,
+  unsetConfigValue,
   isEnabled,
   enable,
   disable,
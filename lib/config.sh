@@ -0,0 +1,35 @@
+#!/usr/bin/env bash
+# Config access for shell scripts
+# Reads the effective config (defaults, global, project, profile and
+# AUTO_SPEAK_* environment overrides) through resolve-config.mjs, so bash
+# sees the same values as Node
+#
+# Usage:
+#   source ~/.claude-auto-speak/lib/config.sh
+#   rate=$(get_config "rate" "175")
+#   if config_is_true "progress.enabled"; then ...; fi
+#
+# The project is taken from $CLAUDE_PROJECT_DIR (set by Claude Code, or by
+# the hooks from the hook payload's cwd), falling back to the current dir.
+
+_AS_RESOLVE_CONFIG="${HOME}/.claude-auto-speak/lib/resolve-config.mjs"
+
+# Print a config value by dot path, or the default if unset
+get_config() {
+  local key="$1"
+  local default="${2:-}"
+
+  node "$_AS_RESOLVE_CONFIG" "$key" "$default" 2>/dev/null || echo "$default"
+}
+
+# Return 0 if a boolean config value is true
+config_is_true() {
+  local key="$1"
+  local default="${2:-false}"
+
+  [[ "$(get_config "$key" "$default")" == "true" ]]
+}
+
+export -f get_config 2>/dev/null || true
+export -f config_is_true 2>/dev/null || true
+export _AS_RESOLVE_CONFIG 2>/dev/null || true
@@ -0,0 +1,125 @@
+/**
+ * Command engines - wrap any local TTS tool with an argv template
+ * Defined in config under commandEngines.<name>:
+ *
+ *   "flite": {
+ *     "command": ["flite", "-voice", "{voice}", "-t", "{text}", "-o", "{wav}"],
+ *     "output": "wav",        // "wav": tool writes {wav}, we play it
+ *                             // "speaker": tool plays audio itself
+ *     "voice": "slt"          // Default for {voice}
+ *   }
+ *
+ * Placeholders: {text} {wav} {voice} {rate} {language}. Each argv element is
+ * passed to the tool as-is (no shell), so text can never be interpreted as
+ * shell syntax. Without a {text} placeholder the text is written to stdin.
+ */
+
+import { existsSync } from "fs";
+import { findExecutable, runCommand, runOrThrow } from "./common.mjs";
+import { COMMAND_OUTPUTS } from "../config-enums.mjs";
+
+export { COMMAND_OUTPUTS };
+export const PLACEHOLDERS = ["text", "wav", "voice", "rate", "language"];
+
+const DEFAULT_TIMEOUT = 60000;
+
+/**
+ * Fill placeholders in every argv element
+ */
+function expandTemplate(template, values) {
+  return template.map((arg) =>
+    arg.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key] ?? "") : match))
+  );
+}
+
+/**
+ * Create an engine from a commandEngines definition
+ * Throws if the definition cannot work (no command, wav output without {wav})
+ *
+ * @param {string} name - Engine name (the commandEngines key)
+ * @param {object} definition - { command, output, description, voice, voices, timeout }
+ * @returns {object} Engine for registerEngine()
+ */
+export function createCommandEngine(name, definition) {
+  const { command, output = "wav" } = definition;
+
+  if (!Array.isArray(command) || command.length === 0 || !command[0]) {
+    throw new Error(`Command engine ${name} needs a command (argv array)`);
+  }
+  if (!COMMAND_OUTPUTS.includes(output)) {
+    throw new Error(`Command engine ${name}: output must be one of ${COMMAND_OUTPUTS.join(", ")}`);
+  }
+
+  const template = command.join("\0");
+  if (output === "wav" && !template.includes("{wav}")) {
+    throw new Error(`Command engine ${name} writes a WAV but its command has no {wav} placeholder`);
+  }
+  const textOnStdin = !template.includes("{text}");
+
+  const run = (text, wavFile, options, config) => {
+    const values = {
+      text,
+      wav: wavFile,
+      voice: options.voice || definition.voice,
+      rate: options.rate || config.rate,
+      language: options.language || "en",
+    };
+    const [executable, ...args] = expandTemplate(command, values);
+    return {
+      executable,
+      args,
+      options: {
+        input: textOnStdin ? text : undefined,
+        timeout: definition.timeout || DEFAULT_TIMEOUT,
+      },
+    };
+  };
+
+  const engine = {
+    name,
+    description: definition.description || `Command: ${command[0]}`,
+    capabilities: {
+      speak: output === "speaker",
+      synthesize: output === "wav",
+      voices: Array.isArray(definition.voices),
+      rate: template.includes("{rate}"),
+      fallback: false,
+    },
+    setup: `Install ${command[0]} or fix commandEngines.${name}.command in config`,
+
+    isAvailable() {
+      const found = command[0].includes("/") ? existsSync(command[0]) : findExecutable(command[0]);
+      return found ? { available: true } : { available: false, reason: `${command[0]} not found` };
+    },
+
+    async listVoices() {
+      return (definition.voices || []).map((id) => ({ id, language: null, description: "" }));
+    },
+
+    // Editing the command may change the audio, so it is part of the key
+    cacheKey(options) {
+      return { voice: options.voice || definition.voice || null, model: command.join(" ") };
+    },
+  };
+
+  if (output === "wav") {
+    engine.synthesize = async (text, outputFile, options, config) => {
+      const { executable, args, options: runOptions } = run(text, outputFile, options, config);
+      await runOrThrow(name, executable, args, runOptions);
+    };
+  } else {
+    engine.speak = async (text, options, config) => {
+      const { executable, args, options: runOptions } = run(text, null, options, config);
+      const { code } = await runCommand(executable, args, { ...runOptions, inherit: true });
+      return code;
+    };
+  }
+
+  return engine;
+}
+
+export default {
+  COMMAND_OUTPUTS,
+  PLACEHOLDERS,
+  createCommandEngine,
+};
@@ -0,0 +1,109 @@
+/**
+ * Helpers shared by TTS engines
+ * Third-party engines in ~/.claude-auto-speak/engines/ can import these from
+ * ~/.claude-auto-speak/lib/engines/common.mjs
+ */
+
+import { spawn } from "child_process";
+import { existsSync } from "fs";
+import { delimiter, join } from "path";
+
+/**
+ * Find an executable, trying explicit candidates first, then $PATH
+ *
+ * @param {string} name - Binary name to look up on $PATH
+ * @param {Array<string>} candidates - Preferred absolute paths (e.g. from config)
+ * @returns {string|null} Path to the executable, or null if not found
+ */
+export function findExecutable(name, candidates = []) {
+  for (const candidate of candidates) {
+    if (candidate && existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  for (const dir of (process.env.PATH || "").split(delimiter)) {
+    if (dir && existsSync(join(dir, name))) {
+      return join(dir, name);
+    }
+  }
+
+  return null;
+}
+
+// Commands still running, so a cancelled speak can stop them all
+const activeChildren = new Set();
+
+/**
+ * Stop every command started by runCommand that is still running
+ * bin/speak calls this when tts-manager.sh cancels it, so synthesis and
+ * playback stop with it instead of running on as orphans
+ */
+export function stopAllCommands(signal = "SIGTERM") {
+  for (const child of activeChildren) {
+    child.kill(signal);
+  }
+}
+
+/**
+ * Run a command without a shell
+ * Resolves with the exit code and captured output; rejects only when the
+ * command cannot be started
+ *
+ * @param {string} command - Executable path or name
+ * @param {Array<string>} args - Arguments (passed as-is, never shell-parsed)
+ * @param {object} options
+ * @param {string|Readable} options.input - Text or stream written to stdin
+ * @param {object} options.env - Environment (default: process.env)
+ * @param {boolean} options.inherit - Show the command's output instead of capturing it
+ * @param {number} options.timeout - Kill the command after this many ms
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+export function runCommand(command, args = [], options = {}) {
+  return new Promise((resolve, reject) => {
+    const output = options.inherit ? "inherit" : "pipe";
+    const child = spawn(command, args, {
+      stdio: [options.input !== undefined ? "pipe" : "ignore", output, output],
+      env: options.env || process.env,
+      timeout: options.timeout,
+    });
+
+    activeChildren.add(child);
+    child.on("exit", () => activeChildren.delete(child));
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout?.on("data", (chunk) => (stdout += chunk));
+    child.stderr?.on("data", (chunk) => (stderr += chunk));
+
+    child.on("error", reject);
+    // A command killed by a signal (timeout, cancellation) has no exit code
+    child.on("close", (code, signal) => resolve({ code: code ?? (signal ? 1 : 0), stdout, stderr }));
+
+    if (options.input !== undefined) {
+      child.stdin.on("error", () => {}); // Command exited before reading stdin
+      if (typeof options.input.pipe === "function") {
+        options.input.on("error", (err) => {
+          child.kill();
+          reject(err);
+        });
+        options.input.pipe(child.stdin);
+      } else {
+        child.stdin.end(options.input);
+      }
+    }
+  });
+}
+
+/**
+ * Run a command and throw if it exits non-zero
+ * The error message includes the last line the command wrote to stderr
+ */
+export async function runOrThrow(label, command, args = [], options = {}) {
+  const result = await runCommand(command, args, options);
+  if (result.code !== 0) {
+    const detail = result.stderr.trim().split("\n").pop();
+    throw new Error(`${label} exited with code ${result.code}${detail ? `: ${detail}` : ""}`);
+  }
+  return result;
+}
@@ -0,0 +1,71 @@
+/**
+ * eSpeak-NG engine - lightweight formant TTS, 100+ languages
+ */
+
+import { findExecutable, runCommand, runOrThrow } from "./common.mjs";
+
+// Gender letter of the Age/Gender column (e.g. "--/M")
+const ESPEAK_GENDERS = { M: "male", F: "female" };
+
+function espeakPath(config) {
+  return findExecutable("espeak-ng", [config.espeakPath]);
+}
+
+async function resolveVoice(options, config) {
+  if (options.voice) {
+    return options.voice;
+  }
+  if (config.multilingual?.enabled) {
+    // Loaded lazily: the registry is imported by the config schema
+    const { getEspeakVoiceForLanguage } = await import("../language-voice-mapper.mjs");
+    return getEspeakVoiceForLanguage(options.language || "en", config);
+  }
+  return config.espeakVoice || "en";
+}
+
+export default {
+  name: "espeak-ng",
+  description: "eSpeak-NG (100+ languages, robotic but fast)",
+  capabilities: {
+    speak: true,
+    synthesize: true,
+    voices: true,
+    rate: false,
+    fallback: true,
+  },
+  setup: "Install with: brew install espeak-ng (macOS) or apt install espeak-ng (Linux)",
+
+  isAvailable(config) {
+    if (!espeakPath(config)) {
+      return { available: false, reason: "eSpeak-NG not installed" };
+    }
+    return { available: true };
+  },
+
+  // `espeak-ng --voices` columns: Pty Language Age/Gender VoiceName File Other
+  async listVoices(config) {
+    const { stdout } = await runCommand(espeakPath(config), ["--voices"]);
+    return stdout
+      .split("\n")
+      .slice(1)
+      .map((line) => line.trim().split(/\s+/))
+      .filter((columns) => columns.length >= 4)
+      .map(([, language, ageGender, name]) => ({
+        id: language,
+        language,
+        gender: ESPEAK_GENDERS[ageGender.split("/").pop()] || null,
+        description: name,
+      }));
+  },
+
+  async synthesize(text, outputFile, options, config) {
+    await runOrThrow("espeak-ng", espeakPath(config), ["-v", await resolveVoice(options, config), "-w", outputFile, text]);
+  },
+
+  async speak(text, options, config) {
+    const { code } = await runCommand(espeakPath(config), ["-v", await resolveVoice(options, config), text], {
+      inherit: true,
+    });
+    return code;
+  },
+};
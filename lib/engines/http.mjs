@@ -0,0 +1,189 @@
+/**
+ * HTTP engine - local speech servers over HTTP
+ *
+ * "openai" api: POST {baseUrl}/audio/speech with { model, input, voice,
+ * response_format, speed }, as served by OpenAI-compatible servers such as
+ * Kokoro-FastAPI, openedai-speech and LocalAI.
+ * "plain" api: POST the text as the request body to baseUrl, as served by
+ * Piper's HTTP server and similar wrappers.
+ *
+ * The returned audio is streamed to the player as it arrives. A server that
+ * is not listening counts as unavailable, so bin/speak skips it up front; one
+ * that answers with an error or stalls throws, so bin/speak falls back.
+ */
+
+import { createWriteStream } from "fs";
+import { connect } from "net";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { playStream } from "../playback.mjs";
+
+// Words per minute that map to speed 1.0 (the macOS say default)
+const BASE_RATE = 175;
+
+// ms to wait for a connection when checking that the server is up
+const PROBE_TIMEOUT = 1000;
+
+function settings(config) {
+  return config.http || {};
+}
+
+/**
+ * Build the request for a piece of text
+ */
+function buildRequest(text, format, options, config) {
+  const http = settings(config);
+  const baseUrl = http.baseUrl.replace(/\/+$/, "");
+  const headers = {};
+  if (http.apiKey) {
+    headers.Authorization = `Bearer ${http.apiKey}`;
+  }
+
+  if (http.api === "plain") {
+    return { url: baseUrl, headers: { ...headers, "Content-Type": "text/plain; charset=utf-8" }, body: text };
+  }
+
+  const speed = options.rate ? Math.min(4, Math.max(0.25, options.rate / BASE_RATE)) : http.speed;
+  return {
+    url: `${baseUrl}/audio/speech`,
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: http.model,
+      input: text,
+      voice: options.voice || http.voice,
+      response_format: format,
+      ...(speed ? { speed } : {}),
+    }),
+  };
+}
+
+/**
+ * POST text to the server and return the audio as a Node stream
+ * The timeout covers connecting, waiting for the response headers and every
+ * gap between audio chunks until the body ends, so a server that stalls
+ * mid-stream fails like one that never answers. A long answer that keeps
+ * arriving may take as long as it takes.
+ */
+async function requestAudio(text, format, options, config) {
+  const { url, headers, body } = buildRequest(text, format, options, config);
+  const timeout = settings(config).timeout || 15000;
+  const controller = new AbortController();
+  let receiving = false;
+  let timer;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const what = receiving ? "stopped sending audio" : "did not respond";
+      controller.abort(new Error(`Speech server at ${url} ${what} within ${timeout}ms`));
+    }, timeout);
+  };
+  arm();
+
+  let response;
+  try {
+    response = await fetch(url, { method: "POST", headers, body, signal: controller.signal });
+  } catch (err) {
+    clearTimeout(timer);
+    if (controller.signal.aborted) {
+      throw controller.signal.reason;
+    }
+    throw new Error(`Cannot reach speech server at ${url}: ${err.cause?.code || err.cause?.message || err.message}`);
+  }
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => "")).trim().slice(0, 200);
+    clearTimeout(timer);
+    throw new Error(`Speech server returned HTTP ${response.status}${detail ? `: ${detail}` : ""}`);
+  }
+  if (!response.body) {
+    clearTimeout(timer);
+    throw new Error("Speech server returned no audio");
+  }
+
+  // Re-arm on every chunk; an abort errors the stream with the reason above
+  receiving = true;
+  arm();
+  const audio = Readable.fromWeb(
+    response.body.pipeThrough(
+      new TransformStream({
+        transform(chunk, stream) {
+          arm();
+          stream.enqueue(chunk);
+        },
+      })
+    )
+  );
+  audio.once("close", () => clearTimeout(timer));
+  return audio;
+}
+
+/**
+ * Whether something accepts connections at the server's host and port
+ * Cheap enough to run before every chain: nothing is sent, so a dead
+ * server is skipped up front instead of failing mid-speech.
+ */
+function probeServer(baseUrl, timeout) {
+  const { hostname, port, protocol } = new URL(baseUrl);
+  return new Promise((resolve) => {
+    const socket = connect({ host: hostname.replace(/^\[|\]$/g, ""), port: port || (protocol === "https:" ? 443 : 80) });
+    const done = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(timeout, () => done({ available: false, reason: `${baseUrl} did not accept a connection within ${timeout}ms` }));
+    socket.once("connect", () => done({ available: true }));
+    socket.once("error", (err) => done({ available: false, reason: `Cannot reach ${baseUrl}: ${err.code || err.message}` }));
+  });
+}
+
+export default {
+  name: "http",
+  description: "HTTP speech server (OpenAI-compatible, Kokoro, Piper HTTP)",
+  capabilities: {
+    speak: true,
+    synthesize: true,
+    voices: true,
+    rate: true,
+    fallback: false,
+  },
+  setup: [
+    "Start a local speech server, e.g. Kokoro-FastAPI on port 8880, then point auto-speak at it:",
+    "  auto-speak config set http.baseUrl http://localhost:8880/v1",
+    "  auto-speak config set http.voice af_bella",
+  ].join("\n"),
+
+  // Only checks that the server is listening; errors from a live server
+  // still surface from speak() and trigger the fallback
+  async isAvailable(config) {
+    const { baseUrl, timeout } = settings(config);
+    try {
+      new URL(baseUrl);
+    } catch {
+      return { available: false, reason: "http.baseUrl is not a valid URL" };
+    }
+    return probeServer(baseUrl, Math.min(timeout || 15000, PROBE_TIMEOUT));
+  },
+
+  // Only the configured voice is known: OpenAI-style servers have no standard
+  // endpoint for listing voices
+  async listVoices(config) {
+    const { voice } = settings(config);
+    return voice ? [{ id: voice, language: null, description: "configured" }] : [];
+  },
+
+  // The server decides what the audio sounds like, so all of it is the key
+  cacheKey(options, config) {
+    const { baseUrl, api, model, voice, speed } = settings(config);
+    return { server: `${api} ${baseUrl}`, model, voice: options.voice || voice, speed };
+  },
+
+  async synthesize(text, outputFile, options, config) {
+    const audio = await requestAudio(text, "wav", options, config);
+    await pipeline(audio, createWriteStream(outputFile));
+  },
+
+  async speak(text, options, config) {
+    const format = settings(config).responseFormat || "wav";
+    return playStream(await requestAudio(text, format, options, config), format, config);
+  },
+};
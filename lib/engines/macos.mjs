@@ -0,0 +1,102 @@
+/**
+ * macOS engine - the built-in `say` command
+ */
+
+import { findExecutable, runCommand, runOrThrow } from "./common.mjs";
+
+// `say -v ?` does not report gender; these are the common system voices
+const VOICE_GENDERS = {
+  Alex: "male",
+  Allison: "female",
+  Amelie: "female",
+  Anna: "female",
+  Ava: "female",
+  Daniel: "male",
+  Evan: "male",
+  Fiona: "female",
+  Fred: "male",
+  Karen: "female",
+  Kyoko: "female",
+  Linh: "female",
+  Moira: "female",
+  Nathan: "male",
+  Oliver: "male",
+  Rishi: "male",
+  Samantha: "female",
+  Serena: "female",
+  Susan: "female",
+  Tessa: "female",
+  Thomas: "male",
+  Tingting: "female",
+  Tom: "male",
+  Veena: "female",
+  Victoria: "female",
+  Zoe: "female",
+};
+
+function sayArgs(options, config) {
+  const voice = options.voice || config.voice || "Samantha";
+  const rate = options.rate || config.rate || 175;
+  return ["-v", voice, "-r", String(rate)];
+}
+
+export default {
+  name: "macos",
+  description: "macOS say command (built in)",
+  capabilities: {
+    speak: true,
+    synthesize: true,
+    voices: true,
+    rate: true,
+    fallback: true, // Needs no setup, safe to fall back to
+  },
+  setup: "Only available on macOS. Use --engine piper for cross-platform support",
+
+  isAvailable() {
+    if (process.platform !== "darwin") {
+      return { available: false, reason: "macOS TTS only available on macOS" };
+    }
+    if (!findExecutable("say", ["/usr/bin/say"])) {
+      return { available: false, reason: "say command not found" };
+    }
+    return { available: true };
+  },
+
+  // `say -v ?` lines look like: "Samantha            en_US    # Hello, my name is Samantha."
+  async listVoices() {
+    const { stdout } = await runCommand("say", ["-v", "?"]);
+    return stdout
+      .split("\n")
+      .map((line) => line.match(/^(.+?)\s+([a-z]{2,3}[_-][A-Za-z0-9]+)\s+#\s*(.*)$/))
+      .filter(Boolean)
+      .map(([, id, language, sample]) => {
+        // Downloaded variants are listed as e.g. "Ava (Premium)"
+        const [, base, variant] = id.trim().match(/^(.*?)(?: \((Enhanced|Premium)\))?$/);
+        return {
+          id: id.trim(),
+          language: language.replace("_", "-"),
+          gender: VOICE_GENDERS[base] || null,
+          quality: variant ? variant.toLowerCase() : null,
+          description: sample.trim(),
+        };
+      });
+  },
+
+  async synthesize(text, outputFile, options, config) {
+    await runOrThrow("say", "say", [
+      ...sayArgs(options, config),
+      "-o",
+      outputFile,
+      "--file-format=WAVE",
+      "--data-format=LEI16@22050",
+      text,
+    ]);
+  },
+
+  async speak(text, options, config) {
+    const { code } = await runCommand("say", [...sayArgs(options, config), text], {
+      inherit: true,
+    });
+    return code;
+  },
+};
@@ -0,0 +1,138 @@
+/**
+ * Piper engine - local neural TTS with .onnx voice models
+ */
+
+import { existsSync, readdirSync, statSync } from "fs";
+import { homedir, tmpdir } from "os";
+import { basename, dirname, join } from "path";
+import { runOrThrow } from "./common.mjs";
+
+// Where piper-setup.sh and multilang-piper-setup.sh install voices
+const VOICE_DIR = join(homedir(), ".local/share/piper-voices");
+const PIPER_QUALITIES = ["x_low", "low", "medium", "high"];
+
+/**
+ * Resolve the .onnx model to use
+ * An explicit voice may be a path or a model name from the voice dir;
+ * with multilingual on, the voice follows the detected language
+ */
+async function resolveVoicePath(options, config) {
+  if (options.voice) {
+    return options.voice.endsWith(".onnx") || options.voice.includes("/")
+      ? options.voice
+      : join(VOICE_DIR, `${options.voice}.onnx`);
+  }
+
+  if (config.multilingual?.enabled) {
+    // Loaded lazily: the registry is imported by the config schema
+    const { getVoiceForLanguage } = await import("../language-voice-mapper.mjs");
+    return join(VOICE_DIR, `${getVoiceForLanguage(options.language || "en", config)}.onnx`);
+  }
+
+  return config.piperVoice;
+}
+
+/**
+ * Resolve the voice model, throwing if it does not exist
+ */
+async function requireVoicePath(options, config) {
+  const voicePath = await resolveVoicePath(options, config);
+  if (!voicePath || !existsSync(voicePath)) {
+    throw new Error(`Piper voice model not found: ${voicePath || "none configured"}`);
+  }
+  return voicePath;
+}
+
+// Homebrew libraries on macOS
+function piperEnv() {
+  const env = { ...process.env };
+  if (process.platform === "darwin") {
+    env.DYLD_LIBRARY_PATH = "/opt/homebrew/lib:/usr/local/lib:" + (env.DYLD_LIBRARY_PATH || "");
+  }
+  return env;
+}
+
+export default {
+  name: "piper",
+  description: "Piper neural TTS (local, high quality)",
+  capabilities: {
+    speak: false,
+    synthesize: true,
+    voices: true,
+    rate: false,
+    fallback: false,
+  },
+  setup: "Install with: ~/.claude-auto-speak/setup/piper-setup.sh",
+
+  isAvailable(config) {
+    if (!config.piperPath || !existsSync(config.piperPath)) {
+      return { available: false, reason: "Piper not installed" };
+    }
+    if (!config.multilingual?.enabled && (!config.piperVoice || !existsSync(config.piperVoice))) {
+      return { available: false, reason: "Piper voice model not found" };
+    }
+    return { available: true };
+  },
+
+  async listVoices(config) {
+    const dirs = new Set([VOICE_DIR]);
+    if (config.piperVoice) {
+      dirs.add(dirname(config.piperVoice));
+    }
+
+    const voices = [];
+    for (const dir of dirs) {
+      if (!existsSync(dir)) continue;
+      for (const file of readdirSync(dir).filter((f) => f.endsWith(".onnx"))) {
+        // Voice names follow <language>-<name>-<quality>, e.g. en_US-lessac-medium
+        const id = basename(file, ".onnx");
+        const quality = id.split("-").pop();
+        const language = id.match(/^([a-z]{2,3}(?:_[A-Z]{2})?)-/)?.[1];
+        voices.push({
+          id,
+          language: language ? language.replace("_", "-") : null,
+          quality: PIPER_QUALITIES.includes(quality) ? quality : null,
+          description: join(dir, file),
+          path: join(dir, file),
+        });
+      }
+    }
+    return voices;
+  },
+
+  // The .onnx model is both voice and model
+  async cacheKey(options, config) {
+    return { voice: await resolveVoicePath(options, config) };
+  },
+
+  // In the synthesis worker, one `piper --json-input` per voice model reads
+  // { text, output_file } lines and prints each WAV path once written
+  persistent: {
+    async spawn(options, config) {
+      const voicePath = await requireVoicePath(options, config);
+      return {
+        key: `${config.piperPath} ${voicePath}`,
+        command: config.piperPath,
+        args: ["--model", voicePath, "--json-input", "--output_dir", tmpdir()],
+        env: piperEnv(),
+      };
+    },
+    request(text, outputFile) {
+      return { text, output_file: outputFile };
+    },
+    // Piper answers each line with the path it wrote; check the file is there
+    response(line, outputFile) {
+      if (!existsSync(outputFile) || statSync(outputFile).size === 0) {
+        throw new Error(`piper did not write ${outputFile}${line.trim() ? `: ${line.trim()}` : ""}`);
+      }
+    },
+  },
+
+  async synthesize(text, outputFile, options, config) {
+    const voicePath = await requireVoicePath(options, config);
+    await runOrThrow("piper", config.piperPath, ["--model", voicePath, "--output_file", outputFile], {
+      input: text,
+      env: piperEnv(),
+    });
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * Print engine - writes what would be spoken instead of playing audio
+ *
+ * For headless machines and tests without an audio device. Each utterance
+ * becomes one line on stdout, or appended to print.output:
+ *
+ *   2026-10-19T14:03:11.204Z print voice=- lang=en rate=175 ~1.4s: Build finished
+ *
+ * or, with print.format "json", one object per line:
+ *
+ *   {"at":"...","engine":"print","voice":null,"language":"en","rate":175,"seconds":1.4,"text":"Build finished"}
+ *
+ * Dry runs (dryRun in config, speak --dry-run) use writeUtterance() to
+ * report the engine and voice that would have spoken instead.
+ */
+
+import { appendFileSync, mkdirSync } from "fs";
+import { dirname } from "path";
+
+/**
+ * Print settings with defaults filled in
+ */
+export function printSettings(config) {
+  return { output: null, format: "text", ...config?.print };
+}
+
+/**
+ * Rough speaking time at a rate in words per minute
+ */
+export function estimateSeconds(text, rate) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.round((words / rate) * 600) / 10;
+}
+
+/**
+ * Write one utterance record to stdout or print.output
+ *
+ * @param {string} text - Text that would be spoken (after the lexicon)
+ * @param {object} details - { engine, voice, language, rate, dryRun }
+ * @param {object} config - Effective config
+ * @returns {object} The record written
+ */
+export function writeUtterance(text, details, config) {
+  const rate = Number(details.rate || config.rate || 175);
+  const record = {
+    at: new Date().toISOString(),
+    engine: details.engine,
+    voice: details.voice || null,
+    language: details.language || null,
+    rate,
+    seconds: estimateSeconds(text, rate),
+    ...(details.dryRun ? { dryRun: true } : {}),
+    text,
+  };
+
+  const { output, format } = printSettings(config);
+  const line =
+    format === "json"
+      ? JSON.stringify(record)
+      : `${record.at} ${record.engine} voice=${record.voice || "-"} lang=${record.language || "-"} ` +
+        `rate=${rate} ~${record.seconds}s: ${text.replace(/\s+/g, " ")}`;
+
+  if (output) {
+    mkdirSync(dirname(output), { recursive: true });
+    appendFileSync(output, line + "\n");
+  } else {
+    process.stdout.write(line + "\n");
+  }
+  return record;
+}
+
+export default {
+  name: "print",
+  description: "Print text instead of speaking (headless machines, tests)",
+  capabilities: {
+    speak: true,
+    synthesize: false,
+    voices: false,
+    rate: true,
+    fallback: false,
+  },
+  setup: "Built in, no setup needed. Output: print.output (default: stdout)",
+
+  isAvailable() {
+    return { available: true };
+  },
+
+  async speak(text, options, config) {
+    writeUtterance(text, { engine: "print", ...options }, config);
+    return 0;
+  },
+};
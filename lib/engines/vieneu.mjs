@@ -0,0 +1,128 @@
+/**
+ * VieNeu engine - Vietnamese neural TTS with voice cloning
+ * Runs lib/vieneu-tts.py inside the venv created by setup/vieneu-setup.sh,
+ * once per utterance or, in the synthesis worker, as a --serve process
+ * that keeps the backbone loaded
+ */
+
+import { existsSync, readdirSync } from "fs";
+import { homedir } from "os";
+import { basename, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { runOrThrow } from "./common.mjs";
+
+const VIENEU_DIR = join(homedir(), ".claude-auto-speak/vieneu");
+const VIENEU_SCRIPT = join(dirname(fileURLToPath(import.meta.url)), "../vieneu-tts.py");
+// Pre-cloned voices shipped in the repo's voices/vieneu (see vieneu-tts.py)
+const BUNDLED_DIR = join(dirname(fileURLToPath(import.meta.url)), "../../voices/vieneu");
+// Voices shipped with the VieNeu model, with their gender
+const PRESET_VOICES = {
+  Binh: "male",
+  Tuyen: "male",
+  Vinh: "male",
+  Doan: "female",
+  Ly: "female",
+  Ngoc: "female",
+};
+
+// Encoded voices (.npy) in a directory
+function listVoiceFiles(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir)
+    .filter((f) => f.endsWith(".npy"))
+    .map((file) => ({ id: basename(file, ".npy").normalize("NFC"), path: join(dir, file) }));
+}
+
+function pythonPath(config) {
+  return config.vieneuPath || join(VIENEU_DIR, "venv/bin/python3");
+}
+
+export default {
+  name: "vieneu",
+  description: "VieNeu-TTS (Vietnamese voice cloning)",
+  capabilities: {
+    speak: false,
+    synthesize: true,
+    voices: true,
+    rate: false,
+    fallback: false,
+  },
+  setup: [
+    "Install with: ./setup/vieneu-setup.sh",
+    "Clone a voice first:",
+    `  source ${VIENEU_DIR}/venv/bin/activate`,
+    `  python ${VIENEU_DIR}/clone-voice.py your_audio.wav my_voice`,
+    "Then set: auto-speak config vieneu-voice my_voice",
+    "Or pick a preset or bundled voice from: auto-speak voices --engine vieneu",
+  ].join("\n"),
+
+  isAvailable(config) {
+    if (!existsSync(pythonPath(config))) {
+      return { available: false, reason: "VieNeu-TTS not installed" };
+    }
+    if (!config.vieneuVoice) {
+      return { available: false, reason: "No VieNeu voice configured" };
+    }
+    return { available: true };
+  },
+
+  // Cloned voices shadow bundled ones of the same name, as in vieneu-tts.py
+  async listVoices() {
+    const voices = Object.entries(PRESET_VOICES).map(([id, gender]) => ({
+      id,
+      language: "vi",
+      gender,
+      description: "preset",
+    }));
+    const cloned = listVoiceFiles(join(VIENEU_DIR, "voices"));
+    for (const { id, path } of cloned) {
+      voices.push({ id, language: "vi", description: "cloned", path });
+    }
+    for (const { id, path } of listVoiceFiles(BUNDLED_DIR)) {
+      if (!cloned.some((voice) => voice.id === id)) {
+        voices.push({ id, language: "vi", description: "bundled", path });
+      }
+    }
+    return voices;
+  },
+
+  cacheKey(options, config) {
+    return { voice: options.voice || config.vieneuVoice, model: config.vieneuModel || "vieneu-0.3b" };
+  },
+
+  persistent: {
+    spawn(options, config) {
+      return { key: `vieneu ${pythonPath(config)}`, command: pythonPath(config), args: [VIENEU_SCRIPT, "--serve"] };
+    },
+    request(text, outputFile, options, config) {
+      return {
+        text,
+        voice: options.voice || config.vieneuVoice,
+        output: outputFile,
+        model: config.vieneuModel || "vieneu-0.3b",
+      };
+    },
+    response(line) {
+      const result = JSON.parse(line);
+      if (!result.ok) {
+        throw new Error(`vieneu-tts: ${result.error}`);
+      }
+    },
+  },
+
+  async synthesize(text, outputFile, options, config) {
+    await runOrThrow("vieneu-tts", pythonPath(config), [
+      VIENEU_SCRIPT,
+      "--text",
+      text,
+      "--voice",
+      options.voice || config.vieneuVoice,
+      "--output",
+      outputFile,
+      "--model",
+      config.vieneuModel || "vieneu-0.3b",
+    ]);
+  },
+};
@@ -0,0 +1,140 @@
+/**
+ * Pronunciation lexicon - spoken forms for words engines get wrong
+ *
+ * Applied by lib/tts-engines.mjs right before text reaches an engine, so
+ * every engine, the audio cache and rendered WAVs see the same text.
+ * Entries live in config under "lexicon", keyed by the word (or pattern)
+ * to replace, so the global config, project .claude-auto-speak.json and
+ * profiles layer like any other key: a project entry replaces the global
+ * entry for the same word, and null removes an inherited entry. The
+ * lexicon is empty by default.
+ *
+ *   "lexicon": {
+ *     "kubectl": "cube control",                 // Whole word, any case
+ *     "PostgreSQL": { "say": "postgres Q L", "caseSensitive": true },
+ *     "v(\\d+)\\.(\\d+)": { "say": "version $1 point $2", "regex": true },
+ *     "nginx": [                                  // Variants, first match wins
+ *       { "say": "engine ex", "engine": "espeak-ng" },
+ *       { "say": "engine x" }
+ *     ],
+ *     "cache": { "say": "cash", "language": "vi" }
+ *   }
+ *
+ * Regex entries use JavaScript syntax; $1... in "say" insert groups.
+ * Entries are applied in order, each to the output of the previous one.
+ */
+
+import { createLogger } from "./logger.mjs";
+
+const logger = createLogger("lexicon");
+
+/**
+ * Normalize one lexicon value (string, rule or list of rules) to rules
+ *
+ * @returns {Array<{say: string, caseSensitive?: boolean, regex?: boolean, engine?: string, language?: string}>}
+ */
+export function lexiconRules(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (typeof value === "string") {
+    return [{ say: value }];
+  }
+  // Rules without a spoken form are invalid (reported by config validate)
+  return [].concat(value).filter((rule) => typeof rule?.say === "string");
+}
+
+/**
+ * Whether a rule applies to an engine and language
+ * A rule's language matches the detected language's primary subtag, so
+ * "en" applies to en and en-US
+ */
+function ruleApplies(rule, { engine, language }) {
+  if (rule.engine && rule.engine !== engine) {
+    return false;
+  }
+  if (rule.language) {
+    const primary = (language || "").toLowerCase().split(/[-_]/)[0];
+    return rule.language.toLowerCase().split(/[-_]/)[0] === primary;
+  }
+  return true;
+}
+
+/**
+ * Build the RegExp for an entry
+ * Plain words match whole words only, including words with symbols such
+ * as C++ or .NET
+ *
+ * @throws {SyntaxError} If a regex entry does not compile
+ */
+export function compileRule(match, rule) {
+  const flags = rule.caseSensitive ? "g" : "gi";
+  if (rule.regex) {
+    return new RegExp(match, flags);
+  }
+  const escaped = match.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, `${flags}u`);
+}
+
+/**
+ * Rewrite text with the lexicon, recording which entries matched
+ *
+ * @param {string} text - Text about to be synthesized
+ * @param {object} config - Effective config
+ * @param {object} context - { engine, language } being spoken with
+ * @returns {{text: string, applied: Array<{match: string, say: string, count: number}>}}
+ */
+export function explainLexicon(text, config, context = {}) {
+  const applied = [];
+  let result = text;
+
+  for (const [match, value] of Object.entries(config?.lexicon || {})) {
+    const rule = lexiconRules(value).find((candidate) => ruleApplies(candidate, context));
+    if (!rule) {
+      continue;
+    }
+
+    let pattern;
+    try {
+      pattern = compileRule(match, rule);
+    } catch (err) {
+      logger.warn(`Skipping lexicon entry ${match}: ${err.message}`);
+      continue;
+    }
+
+    let count = 0;
+    result = result.replace(pattern, (...args) => {
+      count++;
+      // Expand $1... for regex entries; plain entries are literal
+      if (!rule.regex) {
+        return rule.say;
+      }
+      const groups = args.slice(1, args.findIndex((arg) => typeof arg === "number"));
+      return rule.say.replace(/\$(\d+)/g, (group, n) => groups[n - 1] ?? "");
+    });
+    if (count > 0) {
+      applied.push({ match, say: rule.say, count });
+    }
+  }
+
+  return { text: result, applied };
+}
+
+/**
+ * Rewrite text with the lexicon
+ *
+ * @param {string} text - Text about to be synthesized
+ * @param {object} config - Effective config
+ * @param {object} context - { engine, language } being spoken with
+ * @returns {string}
+ */
+export function applyLexicon(text, config, context = {}) {
+  return explainLexicon(text, config, context).text;
+}
+
+export default {
+  lexiconRules,
+  compileRule,
+  explainLexicon,
+  applyLexicon,
+};
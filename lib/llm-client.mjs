@@ -0,0 +1,256 @@
+/**
+ * LLM client - one way to ask a local model for text
+ *
+ * Summaries (lib/summarize.mjs), acknowledgments (lib/transcript-watcher.mjs)
+ * and translations (lib/translator.mjs) all go through complete(), which
+ * sends the prompt to the configured provider:
+ *
+ *   "ollama"       POST {baseUrl}/api/generate             (default)
+ *   "ollama-chat"  POST {baseUrl}/api/chat
+ *   "openai"       POST {baseUrl}/chat/completions         (llama.cpp server,
+ *                  LM Studio, vLLM, LocalAI... baseUrl includes /v1)
+ *
+ * Config:
+ *
+ *   "llm": {
+ *     "provider": "openai",
+ *     "baseUrl": "http://localhost:8080/v1",   // null: ollamaUrl for Ollama
+ *     "apiKey": null,                          // Sent as a Bearer token
+ *     "tasks": {
+ *       "summary": { "model": "qwen2.5-1.5b-instruct", "timeout": 10000 },
+ *       "translation": { "provider": "ollama", "baseUrl": null, "model": "gemma2:9b" }
+ *     }
+ *   }
+ *
+ * A task's settings override the top-level ones, so each task can use its
+ * own model, timeout or even server. Unset models fall back to ollamaModel
+ * (translation: translation.model), unset timeouts to TASK_DEFAULTS.
+ */
+
+import { createLogger } from "./logger.mjs";
+import { LLM_PROVIDERS, LLM_TASKS } from "./config-enums.mjs";
+
+export { LLM_PROVIDERS, LLM_TASKS };
+
+// Where each provider listens when baseUrl is unset
+const DEFAULT_OPENAI_URL = "http://localhost:8080/v1";
+const DEFAULT_OLLAMA_URL = "http://localhost:11434";
+
+// Timeouts (ms) for tasks without one configured
+const TASK_DEFAULTS = {
+  summary: 10000,
+  acknowledgment: 8000,
+  translation: 10000,
+};
+
+const logger = createLogger("llm");
+
+/**
+ * Settings for one task: provider, baseUrl, apiKey, model and timeout
+ *
+ * @param {object} config - Effective config
+ * @param {string} task - One of LLM_TASKS
+ * @returns {{provider: string, baseUrl: string, apiKey: string|null, model: string, timeout: number}}
+ */
+export function llmSettings(config, task) {
+  const { tasks = {}, ...shared } = config?.llm || {};
+  const merged = { ...shared };
+  for (const [key, value] of Object.entries(tasks[task] || {})) {
+    if (value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  const provider = merged.provider || "ollama";
+  const baseUrl =
+    merged.baseUrl || (provider === "openai" ? DEFAULT_OPENAI_URL : config?.ollamaUrl || DEFAULT_OLLAMA_URL);
+  const model =
+    merged.model ||
+    (task === "translation" ? config?.translation?.model || "gemma2:9b" : config?.ollamaModel || "qwen2.5:1.5b");
+  const timeout =
+    merged.timeout || (task === "translation" ? config?.translation?.timeout : null) || TASK_DEFAULTS[task] || 10000;
+
+  return { provider, baseUrl: baseUrl.replace(/\/+$/, ""), apiKey: merged.apiKey || null, model, timeout };
+}
+
+/**
+ * Ollama sampling options from generic ones
+ */
+function ollamaOptions(options) {
+  const mapped = {
+    num_predict: options.maxTokens,
+    temperature: options.temperature,
+    top_p: options.topP,
+    top_k: options.topK,
+    repeat_penalty: options.repeatPenalty,
+    frequency_penalty: options.frequencyPenalty,
+    presence_penalty: options.presencePenalty,
+    stop: options.stop,
+  };
+  return Object.fromEntries(Object.entries(mapped).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Chat messages for a prompt and optional system prompt
+ */
+function chatMessages({ prompt, system }) {
+  return [...(system ? [{ role: "system", content: system }] : []), { role: "user", content: prompt }];
+}
+
+/**
+ * Provider adapters: build the request, and read the text from the response
+ */
+const PROVIDERS = {
+  ollama: {
+    request: (settings, input) => ({
+      path: "/api/generate",
+      body: {
+        model: settings.model,
+        prompt: input.prompt,
+        ...(input.system ? { system: input.system } : {}),
+        stream: false,
+        options: ollamaOptions(input.options),
+      },
+    }),
+    text: (data) => data.response,
+  },
+
+  "ollama-chat": {
+    request: (settings, input) => ({
+      path: "/api/chat",
+      body: {
+        model: settings.model,
+        messages: chatMessages(input),
+        stream: false,
+        options: ollamaOptions(input.options),
+      },
+    }),
+    text: (data) => data.message?.content,
+  },
+
+  // Only parameters from the OpenAI API: strict servers reject the rest
+  openai: {
+    request: (settings, { options, ...input }) => {
+      const body = {
+        model: settings.model,
+        messages: chatMessages(input),
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        frequency_penalty: options.frequencyPenalty,
+        presence_penalty: options.presencePenalty,
+        stop: options.stop,
+        stream: false,
+      };
+      return {
+        path: "/chat/completions",
+        body: Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined)),
+      };
+    },
+    text: (data) => data.choices?.[0]?.message?.content,
+  },
+};
+
+/**
+ * POST JSON to the provider and parse the JSON answer
+ * Errors name the task and server, and distinguish timeouts
+ */
+async function post(settings, task, path, body) {
+  const url = `${settings.baseUrl}${path}`;
+  const headers = { "Content-Type": "application/json" };
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeout);
+  try {
+    const response = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal: controller.signal });
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => "")).trim().slice(0, 200);
+      throw new Error(`${settings.provider} returned HTTP ${response.status}${detail ? `: ${detail}` : ""}`);
+    }
+    return await response.json();
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw new Error(`${settings.provider} at ${url} did not answer the ${task} request within ${settings.timeout}ms`);
+    }
+    if (err.cause) {
+      throw new Error(`Cannot reach ${settings.provider} at ${url}: ${err.cause.code || err.cause.message}`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Ask the task's model for a completion
+ *
+ * @param {object} config - Effective config
+ * @param {string} task - One of LLM_TASKS, selects model, timeout and server
+ * @param {object} input
+ * @param {string} input.prompt - Prompt (the user message for chat providers)
+ * @param {string} input.system - Optional system prompt
+ * @param {object} input.options - { maxTokens, temperature, topP, topK,
+ *   repeatPenalty, frequencyPenalty, presencePenalty, stop }; providers
+ *   ignore the ones they do not support
+ * @returns {Promise<string>} The generated text, trimmed
+ * @throws {Error} If the server cannot be reached, errors, times out or answers with no text
+ */
+export async function complete(config, task, { prompt, system = null, options = {} }) {
+  const settings = llmSettings(config, task);
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${settings.provider} (use ${LLM_PROVIDERS.join(", ")})`);
+  }
+
+  const done = logger.time("Completed", { task, provider: settings.provider, model: settings.model });
+  const { path, body } = provider.request(settings, { prompt, system, options });
+  const data = await post(settings, task, path, body);
+  const text = provider.text(data);
+  if (typeof text !== "string") {
+    throw new Error(`${settings.provider} answered without text`);
+  }
+  done({ level: "debug", chars: text.length });
+  return text.trim();
+}
+
+/**
+ * Check that a task's server answers and has its model
+ * Ollama lists models at /api/tags, OpenAI-compatible servers at /models
+ *
+ * @returns {Promise<{reachable: boolean, hasModel: boolean|null, settings: object, error?: string}>}
+ *   hasModel is null when the server does not list models
+ */
+export async function checkLLM(config, task = "summary") {
+  const settings = llmSettings(config, task);
+  const path = settings.provider === "openai" ? "/models" : "/api/tags";
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 2000);
+  try {
+    const response = await fetch(`${settings.baseUrl}${path}`, { headers, signal: controller.signal });
+    if (!response.ok) {
+      return { reachable: true, hasModel: null, settings };
+    }
+    const data = await response.json();
+    const names = (data.models || data.data || []).map((model) => model.name || model.id || "");
+    const wanted = settings.model.toLowerCase();
+    const hasModel = names.some((name) => name.toLowerCase() === wanted || name.toLowerCase().startsWith(`${wanted}:`));
+    return { reachable: true, hasModel, settings };
+  } catch (err) {
+    return { reachable: false, hasModel: null, settings, error: err.cause?.code || err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default {
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  llmSettings,
+  complete,
+  checkLLM,
+};
@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 /**
  * Helper script for bash scripts to log speech from stdin
- * Usage: echo "text" | node log-speech.mjs
+ * Usage: echo "text" | node log-speech.mjs [--engine <name>]
+ *
+ * bin/speak --history records speech itself, with the engine that spoke it;
+ * this is for scripts that speak without bin/speak
  */
 
 import { logSpeech } from "./speech-history.mjs";
@@ -20,8 +23,11 @@ async function readStdin() {
 async function main() {
   const text = await readStdin();
 
+  const engineAt = process.argv.indexOf("--engine");
+  const engine = engineAt !== -1 ? process.argv[engineAt + 1] : undefined;
+
   if (text && text.length > 0) {
-    await logSpeech(text);
+    await logSpeech(text, engine ? { engine } : {});
   }
 
   process.exit(0);
@@ -0,0 +1,94 @@
+#!/usr/bin/env bash
+# Structured logging for shell scripts
+# Appends the same JSONL entries as lib/logger.mjs to
+# ~/.claude-auto-speak/auto-speak.jsonl, so `auto-speak logs` can filter
+# hooks, TTS manager, progress timer and Node scripts together
+#
+# Usage:
+#   source ~/.claude-auto-speak/lib/log.sh
+#   log_event info hook:stop "Summary generated" chars=42
+#   start=$(log_now_ms); ...; log_event info tts-manager "Done" durationMs=$(( $(log_now_ms) - start ))
+#
+# Extra key=value arguments become fields (integers stay numbers).
+# The session comes from $CLAUDE_SESSION_ID, exported by the hooks.
+# Entries below logging.level are skipped. The level is resolved like any
+# other key (config files, profile, AUTO_SPEAK_LOGGING__LEVEL) through
+# resolve-config.mjs, once per process tree: the first entry that needs it
+# exports it as _AS_LOG_LEVEL.
+# Internal variables use the _AS_ prefix: AUTO_SPEAK_* names are read as
+# config overrides.
+# Size-based rotation is done by the Node logger, which runs every turn.
+
+_AS_LOG_FILE="${HOME}/.claude-auto-speak/auto-speak.jsonl"
+# Raw stdout/stderr of background processes (stack traces, tool output)
+_AS_STDERR_LOG="${HOME}/.claude-auto-speak/stderr.log"
+
+# Escape a string for use inside a JSON string
+json_escape() {
+  local s="$1"
+  s="${s//\\/\\\\}"
+  s="${s//\"/\\\"}"
+  s="${s//$'\n'/\\n}"
+  s="${s//$'\r'/\\r}"
+  s="${s//$'\t'/\\t}"
+  printf '%s' "$s"
+}
+
+# Current time in milliseconds (for durationMs fields)
+log_now_ms() {
+  if [[ -n "${EPOCHREALTIME:-}" ]]; then
+    local now="${EPOCHREALTIME//[.,]/}"
+    echo $(( now / 1000 ))
+  else
+    echo $(( $(date +%s) * 1000 ))
+  fi
+}
+
+# Append one log entry: log_event <level> <component> <message> [key=value...]
+log_event() {
+  local level="$1"
+  local component="$2"
+  local msg="$3"
+  shift 3
+
+  # Honor the minimum level from the effective config (errors always pass)
+  if [[ "$level" != "error" && -z "${_AS_LOG_LEVEL:-}" ]]; then
+    _AS_LOG_LEVEL="$(node "${HOME}/.claude-auto-speak/lib/resolve-config.mjs" logging.level info 2>/dev/null)"
+    export _AS_LOG_LEVEL="${_AS_LOG_LEVEL:-info}"
+  fi
+  case "${_AS_LOG_LEVEL:-info}:${level}" in
+    info:debug|warn:debug|warn:info|error:debug|error:info|error:warn) return 0 ;;
+  esac
+
+  local session="null"
+  if [[ -n "${CLAUDE_SESSION_ID:-}" ]]; then
+    session="\"$(json_escape "$CLAUDE_SESSION_ID")\""
+  fi
+
+  local fields="" pair key value
+  for pair in "$@"; do
+    key="${pair%%=*}"
+    value="${pair#*=}"
+    if [[ "$value" =~ ^-?(0|[1-9][0-9]*)$ ]]; then
+      fields+=",\"$(json_escape "$key")\":${value}"
+    else
+      fields+=",\"$(json_escape "$key")\":\"$(json_escape "$value")\""
+    fi
+  done
+
+  mkdir -p "${_AS_LOG_FILE%/*}" 2>/dev/null || true
+  printf '{"ts":"%s","level":"%s","component":"%s","session":%s,"pid":%s,"msg":"%s"%s}\n' \
+    "$(date -u '+%Y-%m-%dT%H:%M:%SZ')" \
+    "$level" \
+    "$(json_escape "$component")" \
+    "$session" \
+    "${BASHPID:-$$}" \
+    "$(json_escape "$msg")" \
+    "$fields" >> "$_AS_LOG_FILE" 2>/dev/null || true
+}
+
+export -f json_escape 2>/dev/null || true
+export -f log_now_ms 2>/dev/null || true
+export -f log_event 2>/dev/null || true
+export _AS_LOG_FILE 2>/dev/null || true
+export _AS_STDERR_LOG 2>/dev/null || true
@@ -0,0 +1,237 @@
+/**
+ * Structured logging for Claude Auto-Speak
+ * Every component (hooks, watcher, summarizer, speak, TTS manager, progress
+ * timer) appends one JSON object per line to a single log file:
+ *
+ *   {"ts":"...","level":"info","component":"hook:stop","session":"abc...",
+ *    "pid":123,"msg":"Summary generated","chars":42,"durationMs":830}
+ *
+ * The file is rotated by size (auto-speak.jsonl -> .1 -> .2 ...).
+ * Bash scripts write the same format through lib/log.sh.
+ */
+
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+} from "fs";
+import { homedir } from "os";
+import { basename, join } from "path";
+
+export const LOG_DIR = join(homedir(), ".claude-auto-speak");
+export const LOG_FILE = join(LOG_DIR, "auto-speak.jsonl");
+
+/**
+ * Log levels, lowest first
+ */
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Used until configureLogger() is called with the loaded config
+const DEFAULT_SETTINGS = {
+  level: "info",
+  maxSizeKB: 1024,
+  maxFiles: 3,
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Apply logging settings from config (config.logging)
+ * Called by loadConfig(), so every script that loads config picks it up
+ */
+export function configureLogger(logging = {}) {
+  settings = { ...DEFAULT_SETTINGS, ...logging };
+}
+
+/**
+ * Get the session id for log entries
+ * Hooks export CLAUDE_SESSION_ID from the hook payload; scripts that only
+ * know the transcript can derive it, since transcripts are <session>.jsonl
+ */
+export function sessionFromTranscript(transcriptPath) {
+  if (!transcriptPath) {
+    return null;
+  }
+  return basename(transcriptPath).replace(/\.jsonl$/, "");
+}
+
+/**
+ * Rotate the log file once it exceeds the configured size
+ */
+function rotateIfNeeded() {
+  try {
+    if (statSync(LOG_FILE).size < settings.maxSizeKB * 1024) {
+      return;
+    }
+  } catch (err) {
+    return; // No log file yet
+  }
+
+  const oldest = `${LOG_FILE}.${settings.maxFiles}`;
+  if (existsSync(oldest)) {
+    unlinkSync(oldest);
+  }
+  for (let i = settings.maxFiles - 1; i >= 1; i--) {
+    if (existsSync(`${LOG_FILE}.${i}`)) {
+      renameSync(`${LOG_FILE}.${i}`, `${LOG_FILE}.${i + 1}`);
+    }
+  }
+  renameSync(LOG_FILE, `${LOG_FILE}.1`);
+}
+
+/**
+ * Append one entry to the log
+ * Never throws - logging must not break speech
+ */
+export function writeLogEntry(entry) {
+  if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(settings.level)) {
+    return;
+  }
+
+  try {
+    if (!existsSync(LOG_DIR)) {
+      mkdirSync(LOG_DIR, { recursive: true });
+    }
+    rotateIfNeeded();
+    appendFileSync(LOG_FILE, JSON.stringify(entry) + "\n", "utf-8");
+  } catch (err) {
+    // Silently fail logging
+  }
+}
+
+/**
+ * Create a logger for a component
+ *
+ * @param {string} component - e.g. "summarize", "watcher", "speak"
+ * @param {object} context - Fields added to every entry (e.g. { session })
+ * @returns {object} Logger with debug/info/warn/error(msg, fields),
+ *   time(msg, fields) -> done(fields), and child(fields)
+ */
+export function createLogger(component, context = {}) {
+  const write = (level, msg, fields = {}) => {
+    writeLogEntry({
+      ts: new Date().toISOString(),
+      level,
+      component,
+      session: context.session ?? process.env.CLAUDE_SESSION_ID ?? null,
+      pid: process.pid,
+      msg,
+      ...context,
+      ...fields,
+    });
+  };
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+
+    // Start a timer; calling the returned function logs msg with durationMs
+    time(msg, fields = {}) {
+      const start = Date.now();
+      return ({ level = "info", ...extra } = {}) =>
+        write(level, msg, { ...fields, ...extra, durationMs: Date.now() - start });
+    },
+
+    child: (fields) => createLogger(component, { ...context, ...fields }),
+  };
+}
+
+/**
+ * Check whether an entry passes the `auto-speak logs` filters
+ *
+ * @param {object} entry - Parsed log entry
+ * @param {object} filters
+ * @param {string} filters.level - Minimum level
+ * @param {string} filters.component - Component name or prefix ("hook" matches "hook:stop")
+ * @param {string} filters.session - Session id or prefix
+ */
+export function matchesFilters(entry, filters = {}) {
+  if (filters.level && LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(filters.level)) {
+    return false;
+  }
+  if (filters.component && !String(entry.component || "").startsWith(filters.component)) {
+    return false;
+  }
+  if (filters.session && !String(entry.session || "").startsWith(filters.session)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Parse log lines, skipping anything that is not a JSON entry
+ */
+export function parseLogLines(text) {
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Skip malformed lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read the most recent log entries matching the filters
+ * Reads the rotated file too when the current one has too few matches
+ *
+ * @param {object} filters - See matchesFilters(), plus limit
+ * @returns {Array<object>} Entries, oldest first
+ */
+export function readLogEntries(filters = {}) {
+  const limit = filters.limit || 20;
+  let entries = [];
+
+  for (const file of [LOG_FILE, `${LOG_FILE}.1`]) {
+    if (!existsSync(file)) continue;
+    try {
+      const matching = parseLogLines(readFileSync(file, "utf-8")).filter((entry) =>
+        matchesFilters(entry, filters)
+      );
+      entries = [...matching, ...entries];
+    } catch (err) {
+      // Unreadable log file
+    }
+    if (entries.length >= limit) break;
+  }
+
+  return entries.slice(-limit);
+}
+
+/**
+ * Format an entry as one human-readable line (without colors)
+ */
+export function formatLogEntry(entry) {
+  const time = String(entry.ts || "").replace("T", " ").substring(0, 19);
+  const session = entry.session ? ` [${String(entry.session).substring(0, 8)}]` : "";
+  const skip = new Set(["ts", "level", "component", "session", "pid", "msg", "durationMs"]);
+  const fields = Object.entries(entry)
+    .filter(([key, value]) => !skip.has(key) && value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+  const duration = entry.durationMs !== undefined ? ` (${entry.durationMs}ms)` : "";
+
+  return `${time} ${String(entry.level).toUpperCase().padEnd(5)} ${entry.component}${session} ${entry.msg}${fields ? ` ${fields}` : ""}${duration}`;
+}
+
+export default {
+  LOG_FILE,
+  LOG_LEVELS,
+  configureLogger,
+  sessionFromTranscript,
+  writeLogEntry,
+  createLogger,
+  matchesFilters,
+  parseLogLines,
+  readLogEntries,
+  formatLogEntry,
+};
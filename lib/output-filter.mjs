@@ -5,6 +5,8 @@
  * Filters Claude Code output to remove verbose content unsuitable for text-to-speech.
  */
 
+import { normalizeForSpeech } from "./speech-normalizer.mjs";
+
 /**
  * Default filter configuration
  */
@@ -13,6 +15,7 @@ export const DEFAULT_FILTER_CONFIG = {
   maxCodeLines: 0, // Remove all code blocks for TTS
   includeFilePaths: false,
   includeStats: false,
+  language: "en", // Language numbers and units are verbalized in
 };
 
 /**
@@ -82,9 +85,9 @@ export class OutputFilter {
     result = result.replace(/\*\*\*([^*]+)\*\*\*/g, "$1");
     result = result.replace(/\*\*([^*]+)\*\*/g, "$1");
     result = result.replace(/\*([^*]+)\*/g, "$1");
-    result = result.replace(/___([^_]+)___/g, "$1");
-    result = result.replace(/__([^_]+)__/g, "$1");
-    result = result.replace(/_([^_]+)_/g, "$1");
+    result = result.replace(/(?<!\w)___([^_]+)___(?!\w)/g, "$1");
+    result = result.replace(/(?<!\w)__([^_]+)__(?!\w)/g, "$1");
+    result = result.replace(/(?<!\w)_([^_]+)_(?!\w)/g, "$1");
 
     // Remove strikethrough
     result = result.replace(/~~([^~]+)~~/g, "$1");
@@ -117,8 +120,8 @@ export class OutputFilter {
     // Remove box drawing characters
     result = result.replace(/[│├┤┌┐└┘┬┴┼═║╔╗╚╝╠╣╦╩╬]/g, "");
 
-    // Remove multiple consecutive special chars
-    result = result.replace(/[*#_~`]{2,}/g, "");
+    // Verbalize numbers, versions and units, then drop leftover symbols
+    result = normalizeForSpeech(result, this.config.language);
 
     // Clean up multiple spaces and newlines
     result = result.replace(/[ \t]+/g, " ");
@@ -0,0 +1,262 @@
+/**
+ * Audio playback shared by the engines that produce audio files or streams
+ *
+ * Players are tried in PLAYER_ORDER for the platform (afplay on macOS;
+ * pw-play, paplay, aplay, then ffplay on Linux), skipping any that are not
+ * installed or cannot play the format. Config:
+ *
+ *   "playback": {
+ *     "player": "auto",    // Or a name from PLAYERS to always use it
+ *     "device": null       // Output device, in the player's own terms
+ *   }
+ */
+
+import { createWriteStream, existsSync, statSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { once } from "events";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import { findExecutable, runOrThrow } from "./engines/common.mjs";
+import { createLogger } from "./logger.mjs";
+import { wavStreamHeader } from "./wav.mjs";
+import { PLAYER_NAMES } from "./config-enums.mjs";
+
+const logger = createLogger("playback");
+
+/**
+ * Known players
+ *   formats - audio formats the player can decode
+ *   args    - argv for a file ("-" reads stdin) and an optional device
+ *   stdin   - whether the player can read audio from stdin
+ *   env     - extra environment for a device (players without a device flag)
+ *   device  - how to name a device, shown in status and errors
+ */
+export const PLAYERS = {
+  afplay: {
+    formats: ["wav", "mp3", "flac", "aac"],
+    args: (file) => [file],
+    stdin: false,
+    device: null, // Always the system output device
+  },
+  "pw-play": {
+    formats: ["wav", "flac", "opus"],
+    args: (file, device) => [...(device ? ["--target", device] : []), file],
+    stdin: true,
+    device: "PipeWire node id or name (pw-cli ls Node)",
+  },
+  paplay: {
+    formats: ["wav", "flac", "opus"],
+    // paplay reads stdin when no file is given
+    args: (file, device) => [...(device ? [`--device=${device}`] : []), ...(file === "-" ? [] : [file])],
+    stdin: true,
+    device: "PulseAudio sink name (pactl list short sinks)",
+  },
+  aplay: {
+    formats: ["wav"],
+    args: (file, device) => ["-q", ...(device ? ["-D", device] : []), file],
+    stdin: true,
+    device: "ALSA device (aplay -L)",
+  },
+  ffplay: {
+    formats: ["wav", "mp3", "flac", "opus", "aac"],
+    args: (file) => ["-nodisp", "-autoexit", "-loglevel", "error", file],
+    stdin: true,
+    // SDL picks its ALSA output device from AUDIODEV
+    env: (device) => (device ? { AUDIODEV: device } : {}),
+    device: "ALSA device (aplay -L)",
+  },
+};
+
+export { PLAYER_NAMES };
+
+const PLAYER_ORDER = {
+  darwin: ["afplay", "ffplay"],
+  linux: ["pw-play", "paplay", "aplay", "ffplay"],
+};
+
+function playbackSettings(config) {
+  return { player: "auto", device: null, ...config?.playback };
+}
+
+/**
+ * Players to try on this platform, in order
+ */
+function candidatePlayers(config) {
+  const { player } = playbackSettings(config);
+  if (player && player !== "auto") {
+    return [player];
+  }
+  return PLAYER_ORDER[process.platform] || PLAYER_ORDER.linux;
+}
+
+/**
+ * Find the player to use for a format
+ * Throws with a description of what is missing when nothing can play it
+ *
+ * @param {object} config - Effective config (playback.player, playback.device)
+ * @param {string} format - Audio format ("wav", "mp3", ...)
+ * @returns {{name: string, path: string, device: string|null}}
+ */
+export function resolvePlayer(config, format = "wav") {
+  const { player, device } = playbackSettings(config);
+  const candidates = candidatePlayers(config);
+
+  for (const name of candidates) {
+    const path = findExecutable(name);
+    if (path && PLAYERS[name].formats.includes(format)) {
+      return { name, path, device };
+    }
+  }
+
+  if (player && player !== "auto") {
+    if (!PLAYERS[player]) {
+      throw new Error(`Unknown audio player "${player}" (playback.player: auto, ${PLAYER_NAMES.join(", ")})`);
+    }
+    if (!findExecutable(player)) {
+      throw new Error(`Audio player ${player} is not installed (playback.player)`);
+    }
+    throw new Error(`Audio player ${player} cannot play ${format} audio (playback.player)`);
+  }
+
+  const usable = candidates.filter((name) => PLAYERS[name].formats.includes(format));
+  throw new Error(
+    `No audio player found for ${format} audio. Install one of: ${usable.join(", ")} ` +
+      "(pipewire, pulseaudio-utils, alsa-utils or ffmpeg)"
+  );
+}
+
+/**
+ * Describe the player that would be used, for status output
+ * Never throws
+ *
+ * @returns {{player: object|null, error?: string}}
+ */
+export function describePlayback(config) {
+  try {
+    return { player: resolvePlayer(config) };
+  } catch (err) {
+    return { player: null, error: err.message };
+  }
+}
+
+/**
+ * Run a player on a file, or "-" for stdin
+ */
+async function runPlayer(player, file, input) {
+  const spec = PLAYERS[player.name];
+  if (player.device && !spec.device) {
+    logger.warn(`${player.name} cannot select an output device, ignoring playback.device`);
+  }
+
+  const { code } = await runOrThrow(player.name, player.path, spec.args(file, player.device), {
+    input,
+    env: spec.env ? { ...process.env, ...spec.env(player.device) } : undefined,
+  });
+  return code;
+}
+
+/**
+ * Wait for a WAV file to be fully written (prevents initial audio cutoff)
+ */
+async function waitForFile(filePath, timeoutMs = 1000) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime <= timeoutMs) {
+    try {
+      if (statSync(filePath).size > 44) {
+        // WAV header is 44 bytes minimum
+        return;
+      }
+    } catch (err) {
+      // File doesn't exist yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Play a WAV file and wait for it to finish
+ * Throws if no player is usable or the player fails (e.g. a bad device)
+ *
+ * @param {string} filePath - WAV file to play
+ * @param {object} config - Effective config
+ * @returns {Promise<number>} Player exit code
+ */
+export async function playWav(filePath, config) {
+  const player = resolvePlayer(config, "wav");
+  await waitForFile(filePath);
+  return runPlayer(player, filePath);
+}
+
+/**
+ * Play audio from a stream (e.g. an HTTP response body) as it arrives
+ * Players that cannot read stdin (afplay) get the audio buffered to a temp
+ * file first.
+ *
+ * @param {Readable} stream - Audio data
+ * @param {string} format - "wav", "mp3", "flac", "opus" or "aac"
+ * @param {object} config - Effective config
+ * @returns {Promise<number>} Player exit code
+ */
+export async function playStream(stream, format, config) {
+  const player = resolvePlayer(config, format);
+  if (PLAYERS[player.name].stdin) {
+    return runPlayer(player, "-", stream);
+  }
+
+  const tempFile = join(tmpdir(), `speak-${process.pid}-${Date.now()}.${format}`);
+  try {
+    await pipeline(stream, createWriteStream(tempFile));
+    return await runPlayer(player, tempFile);
+  } finally {
+    if (existsSync(tempFile)) {
+      unlinkSync(tempFile);
+    }
+  }
+}
+
+/**
+ * Open a player that plays WAV_FORMAT audio (see lib/wav.mjs) as it is
+ * written, for gapless playback of clips synthesized one after another
+ * Returns null when the player cannot read stdin (afplay); play files
+ * one by one instead.
+ *
+ * @param {object} config - Effective config
+ * @returns {{write: function(Buffer): Promise, end: function(): Promise<number>}|null}
+ */
+export function openPlayerStream(config) {
+  const player = resolvePlayer(config, "wav");
+  if (!PLAYERS[player.name].stdin) {
+    return null;
+  }
+
+  const input = new PassThrough();
+  const done = runPlayer(player, "-", input);
+  done.catch(() => {}); // Surfaced by write() and end()
+  input.write(wavStreamHeader());
+
+  return {
+    // Resolves once the player has room for more, so synthesis stays at
+    // most one clip ahead of playback
+    async write(pcm) {
+      if (!input.write(pcm)) {
+        await Promise.race([once(input, "drain"), done]);
+      }
+    },
+    async end() {
+      input.end();
+      return done;
+    },
+  };
+}
+
+export default {
+  PLAYERS,
+  PLAYER_NAMES,
+  resolvePlayer,
+  describePlayback,
+  playWav,
+  playStream,
+  openPlayerStream,
+};
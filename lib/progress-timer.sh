@@ -13,13 +13,18 @@ set -euo pipefail
 
 INSTALL_DIR="${HOME}/.claude-auto-speak"
 PID_FILE="${INSTALL_DIR}/progress-timer.pid"
-CONFIG_FILE="${INSTALL_DIR}/config.json"
-LOG_FILE="${INSTALL_DIR}/progress-timer.log"
+
+# Source structured logging
+source "${INSTALL_DIR}/lib/log.sh"
+
+# Source config access (effective config incl. project overrides)
+source "${INSTALL_DIR}/lib/config.sh"
 
 # Source TTS manager for exclusive TTS playback
 source "${INSTALL_DIR}/lib/tts-manager.sh"
 
 # Progress phrases to cycle through
+# Keep in sync with PROGRESS_PHRASES in lib/audio-cache.mjs (pre-warmed audio)
 PHRASES=(
   "Still working"
   "Processing"
@@ -29,54 +34,35 @@ PHRASES=(
 
 # Function to log messages
 log() {
-  echo "[$(date '+%Y-%m-%d %H:%M:%S')] [timer] $*" >> "$LOG_FILE"
+  log_event info "progress-timer" "$@"
 }
 
 # Get interval from config or use default
 get_interval() {
   local default=15
+  local interval=$(get_config "progress.intervalSeconds" "$default")
 
-  if [[ ! -f "$CONFIG_FILE" ]]; then
-    echo "$default"
+  if [[ "$interval" =~ ^[0-9]+$ ]] && [[ "$interval" -ge 5 ]] && [[ "$interval" -le 120 ]]; then
+    echo "$interval"
     return
   fi
 
-  if command -v jq &>/dev/null; then
-    local interval=$(jq -r '.progress.intervalSeconds // 15' "$CONFIG_FILE" 2>/dev/null)
-    if [[ "$interval" =~ ^[0-9]+$ ]] && [[ "$interval" -ge 5 ]] && [[ "$interval" -le 120 ]]; then
-      echo "$interval"
-      return
-    fi
-  fi
-
   echo "$default"
 }
 
 # Check if progress updates are enabled
 is_progress_enabled() {
-  if [[ ! -f "$CONFIG_FILE" ]]; then
-    return 0  # Default to enabled if no config
-  fi
-
-  if command -v jq &>/dev/null; then
-    local enabled=$(jq -r '.progress.enabled // null' "$CONFIG_FILE" 2>/dev/null)
-    if [[ "$enabled" == "false" ]]; then
-      return 1
-    fi
-    # Also check if autoSpeak is enabled (progress depends on it)
-    local autoSpeak=$(jq -r '.enabled // false' "$CONFIG_FILE" 2>/dev/null)
-    [[ "$autoSpeak" == "true" ]]
-  else
-    grep -q '"enabled"[[:space:]]*:[[:space:]]*true' "$CONFIG_FILE" 2>/dev/null
+  if ! config_is_true "progress.enabled" "true"; then
+    return 1
   fi
+  # Also check if autoSpeak is enabled (progress depends on it)
+  config_is_true "enabled"
 }
 
-# Speak a phrase using TTS manager (exclusive playback)
+# Speak a phrase using TTS manager (exclusive playback, logs speech history)
 speak_phrase() {
   local phrase="$1"
   speak_exclusive "$phrase" || true
-  # Log to speech history (silent failure)
-  echo "$phrase" | node "${INSTALL_DIR}/lib/log-speech.mjs" 2>/dev/null || true
 }
 
 # Start the background timer loop
@@ -116,8 +102,8 @@ start_timer() {
       # Verify our PID file still points to us
       if [[ -f "$PID_FILE" ]]; then
         local stored_pid=$(cat "$PID_FILE" 2>/dev/null)
-        if [[ "$stored_pid" != "$$" ]]; then
-          log "PID mismatch (stored: $stored_pid, us: $$), exiting"
+        if [[ "$stored_pid" != "$BASHPID" ]]; then
+          log "PID mismatch (stored: $stored_pid, us: $BASHPID), exiting"
           exit 0
         fi
       else
@@ -125,10 +111,14 @@ start_timer() {
         exit 0
       fi
 
-      # Speak the current phrase
+      # Speak the current phrase, unless quiet hours or a snooze began
       local phrase="${PHRASES[$idx]}"
-      log "Speaking: $phrase"
-      speak_phrase "$phrase"
+      if node "${INSTALL_DIR}/lib/should-speak.mjs" progress </dev/null >/dev/null 2>&1; then
+        log "Speaking: $phrase"
+        speak_phrase "$phrase"
+      else
+        log "Muted, skipping: $phrase"
+      fi
 
       # Move to next phrase (cycle)
       idx=$(( (idx + 1) % num_phrases ))
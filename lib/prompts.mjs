@@ -0,0 +1,174 @@
+/**
+ * Prompt templates - the text sent to the LLM for each task
+ *
+ * Each prompt is a plain text file with {{variables}}. The shipped defaults
+ * live in lib/prompts/ (replaced by every install); copies edited by the
+ * user take precedence, per project first:
+ *
+ *   <project>/.claude-auto-speak/prompts/<name>.txt   Project (searched upward from the session's cwd)
+ *   ~/.claude-auto-speak/prompts/<name>.txt           Global
+ *   lib/prompts/<name>.txt                            Shipped default
+ *
+ * Variables: {{userQuestion}}, {{response}}, {{language}}, {{maxWords}},
+ * {{detail}} (the verbosity level's length guidance, lib/verbosity.mjs) and
+ * {{facts}} (tool activity of the turn, lib/turn-facts.mjs).
+ * Unknown variables are left as written (auto-speak prompts list reports
+ * them). Trailing whitespace is trimmed so files can end with a newline, and
+ * blank lines left by empty variables collapse into one.
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { INSTALL_DIR } from "./config.mjs";
+import { createLogger } from "./logger.mjs";
+
+export const PROMPT_NAMES = ["summary", "summary-no-question", "acknowledgment", "translation"];
+export const PROMPT_VARIABLES = ["userQuestion", "response", "language", "maxWords", "detail", "facts"];
+
+export const PROMPT_DESCRIPTIONS = {
+  summary: "Final summary when the user's question is known",
+  "summary-no-question": "Final summary without a question",
+  acknowledgment: "Shortens a long first reply into an acknowledgment",
+  translation: "Translates text before speaking (multilingual translate mode)",
+};
+
+export const DEFAULT_PROMPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), "prompts");
+export const PROMPTS_DIR = join(INSTALL_DIR, "prompts");
+const PROJECT_PROMPTS_DIR = join(".claude-auto-speak", "prompts");
+
+const logger = createLogger("prompts");
+
+/**
+ * Find the project prompts directory for a directory
+ * Looks for .claude-auto-speak/prompts in the directory and each parent,
+ * stopping short of the global one
+ *
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null}
+ */
+export function findProjectPromptsDir(startDir) {
+  if (!startDir) {
+    return null;
+  }
+
+  let dir = resolve(startDir);
+  while (true) {
+    const candidate = join(dir, PROJECT_PROMPTS_DIR);
+    if (candidate === PROMPTS_DIR) {
+      return null;
+    }
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Candidate files for a prompt, highest precedence first
+ *
+ * @param {string} name - One of PROMPT_NAMES
+ * @param {object} options - { cwd } of the session
+ * @returns {Array<{source: string, path: string}>}
+ */
+export function promptCandidates(name, options = {}) {
+  const cwd = options.cwd || process.env.CLAUDE_PROJECT_DIR || process.cwd();
+  const projectDir = findProjectPromptsDir(cwd);
+  return [
+    ...(projectDir ? [{ source: "project", path: join(projectDir, `${name}.txt`) }] : []),
+    { source: "global", path: join(PROMPTS_DIR, `${name}.txt`) },
+    { source: "default", path: join(DEFAULT_PROMPTS_DIR, `${name}.txt`) },
+  ];
+}
+
+/**
+ * Find the template file in effect for a prompt
+ *
+ * @returns {{name: string, source: string, path: string}}
+ * @throws {Error} If the name is unknown
+ */
+export function findPrompt(name, options = {}) {
+  if (!PROMPT_NAMES.includes(name)) {
+    throw new Error(`Unknown prompt: ${name} (use ${PROMPT_NAMES.join(", ")})`);
+  }
+  const candidates = promptCandidates(name, options);
+  const found = candidates.find((candidate) => existsSync(candidate.path)) || candidates.at(-1);
+  return { name, ...found };
+}
+
+/**
+ * Read the template in effect for a prompt
+ * An unreadable override falls back to the shipped default
+ *
+ * @returns {string} Template text
+ */
+export function loadPrompt(name, options = {}) {
+  const { source, path } = findPrompt(name, options);
+  try {
+    return readFileSync(path, "utf-8").replace(/\s+$/, "");
+  } catch (err) {
+    if (source === "default") {
+      throw err;
+    }
+    logger.warn(`Cannot read ${source} prompt ${path}, using the default: ${err.message}`);
+    return readFileSync(join(DEFAULT_PROMPTS_DIR, `${name}.txt`), "utf-8").replace(/\s+$/, "");
+  }
+}
+
+/**
+ * Fill in {{variables}}; missing values render empty
+ *
+ * @param {string} template - Template text
+ * @param {object} variables - Values by name
+ * @returns {string}
+ */
+export function renderPrompt(template, variables = {}) {
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (!PROMPT_VARIABLES.includes(name)) {
+        return match;
+      }
+      return String(variables[name] ?? "");
+    })
+    .replace(/\n{3,}/g, "\n\n");
+}
+
+/**
+ * Variables a template uses that are not in PROMPT_VARIABLES
+ *
+ * @returns {string[]}
+ */
+export function unknownVariables(template) {
+  const names = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]);
+  return [...new Set(names.filter((name) => !PROMPT_VARIABLES.includes(name)))];
+}
+
+/**
+ * Load and render a prompt
+ *
+ * @param {string} name - One of PROMPT_NAMES
+ * @param {object} variables - { userQuestion, response, language, maxWords, detail, facts }
+ * @param {object} options - { cwd } of the session, for project templates
+ * @returns {string} The prompt to send
+ */
+export function buildPrompt(name, variables, options = {}) {
+  return renderPrompt(loadPrompt(name, options), variables);
+}
+
+export default {
+  PROMPT_NAMES,
+  PROMPT_VARIABLES,
+  PROMPTS_DIR,
+  findProjectPromptsDir,
+  promptCandidates,
+  findPrompt,
+  loadPrompt,
+  renderPrompt,
+  unknownVariables,
+  buildPrompt,
+};
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Helper for bash scripts to read the effective config
+ * Resolves defaults, global config, project overrides, the active profile
+ * and AUTO_SPEAK_* environment variables exactly like the Node scripts do,
+ * so hooks never read config.json directly
+ *
+ * Usage: node resolve-config.mjs [--cwd <dir>] <key.path> [default]
+ *
+ * Prints the value (objects and arrays as JSON), or the default if the
+ * key is unset or null.
+ */
+
+import { loadConfig } from "./config.mjs";
+
+function main() {
+  const args = process.argv.slice(2);
+  let cwd;
+
+  if (args[0] === "--cwd") {
+    cwd = args[1];
+    args.splice(0, 2);
+  }
+
+  const [path, fallback = ""] = args;
+  if (!path) {
+    console.error("Usage: node resolve-config.mjs [--cwd <dir>] <key.path> [default]");
+    process.exit(1);
+  }
+
+  const config = loadConfig({ cwd });
+  const value = path.split(".").reduce((obj, key) => obj?.[key], config);
+
+  if (value === undefined || value === null) {
+    console.log(fallback);
+  } else if (typeof value === "object") {
+    console.log(JSON.stringify(value));
+  } else {
+    console.log(String(value));
+  }
+}
+
+main();
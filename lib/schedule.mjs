@@ -0,0 +1,222 @@
+/**
+ * Quiet hours and snooze for Claude Auto-Speak
+ * Decides whether speech is allowed right now, based on recurring quiet
+ * windows from config (schedule.quietHours) and one-off snoozes
+ * (`auto-speak snooze 45m`)
+ */
+
+import { readFileSync, writeFileSync, unlinkSync, existsSync } from "fs";
+import { join } from "path";
+import { INSTALL_DIR, ensureConfigDir } from "./config.mjs";
+import { WEEKDAYS } from "./config-schema.mjs";
+
+export const SNOOZE_FILE = join(INSTALL_DIR, "snooze.json");
+
+/**
+ * Kinds of speech, used to decide what gets through during quiet time
+ *   summary        - final summary from the Stop hook
+ *   acknowledgment - first response spoken by the transcript watcher
+ *   progress       - periodic progress phrases
+ */
+export const SPEECH_KINDS = ["summary", "acknowledgment", "progress"];
+
+// Words that mark a summary as reporting a failure
+const FAILURE_PATTERN =
+  /\b(?:fail(?:s|ed|ing|ures?)?(?!-)|errors?|broken|crash(?:ed|es)?|exceptions?|could not|couldn't|unable to)\b/gi;
+
+// Before a failure word, up to one word apart: there was none, or it was
+// dealt with ("no errors", "0 tests failed", "without errors", "fixed the crash")
+const NEGATED_BEFORE =
+  /\b(?:no|0|zero|none|nothing|never|not|without|didn't|did not|doesn't|does not|fix(?:ed|es|ing)?|resolved)\s+(?:[\w-]+\s+)?$/i;
+
+// After a failure word: a zero count ("failed: 0", "errors = 0")
+const ZERO_AFTER = /^\s*[:=]?\s*0\b/;
+
+// "error" and "exception" naming a feature rather than an event
+const FEATURE_AFTER = /^\s+(?:handling|handlers?|messages?|codes?|checking|reporting|types?|classes|boundar(?:y|ies)|pages?)\b/i;
+
+/**
+ * Parse a duration like "45m", "2h", "1h30m" or "90" (minutes)
+ *
+ * @param {string} text - Duration text
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+export function parseDuration(text) {
+  const value = String(text || "").trim().toLowerCase();
+
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 60 * 1000;
+  }
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !value) {
+    return null;
+  }
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Get the active snooze
+ *
+ * @param {Date} now - Current time
+ * @returns {{until: Date}|null} Snooze, or null if none is active
+ */
+export function getSnooze(now = new Date()) {
+  try {
+    if (!existsSync(SNOOZE_FILE)) {
+      return null;
+    }
+    const data = JSON.parse(readFileSync(SNOOZE_FILE, "utf-8"));
+    const until = new Date(data.until);
+    if (isNaN(until.getTime()) || until <= now) {
+      return null;
+    }
+    return { until };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Snooze all speech for a duration
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {Date} When the snooze ends
+ */
+export function snooze(ms, now = new Date()) {
+  ensureConfigDir();
+  const until = new Date(now.getTime() + ms);
+  writeFileSync(SNOOZE_FILE, JSON.stringify({ until: until.toISOString() }, null, 2));
+  return until;
+}
+
+/**
+ * End an active snooze
+ */
+export function clearSnooze() {
+  if (existsSync(SNOOZE_FILE)) {
+    unlinkSync(SNOOZE_FILE);
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Find the quiet window that covers a point in time
+ * Windows whose end is before their start run past midnight and belong
+ * to the day they start on.
+ *
+ * @param {object} config - Effective config
+ * @param {Date} now - Current time
+ * @returns {object|null} Matching window, or null
+ */
+export function findQuietWindow(config, now = new Date()) {
+  const windows = config.schedule?.quietHours || [];
+  const minute = now.getHours() * 60 + now.getMinutes();
+  // getDay() is 0 for Sunday
+  const today = WEEKDAYS[(now.getDay() + 6) % 7];
+  const yesterday = WEEKDAYS[(now.getDay() + 5) % 7];
+
+  for (const window of windows) {
+    const days = window.days?.length ? window.days : WEEKDAYS;
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start <= end) {
+      if (days.includes(today) && minute >= start && minute < end) {
+        return window;
+      }
+    } else if (
+      (days.includes(today) && minute >= start) ||
+      (days.includes(yesterday) && minute < end)
+    ) {
+      return window;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe whether speech is currently muted and why
+ *
+ * @param {object} config - Effective config
+ * @param {Date} now - Current time
+ * @returns {{quiet: boolean, reason: string|null, level: string}}
+ */
+export function getQuietState(config, now = new Date()) {
+  const level = config.schedule?.quietLevel || "silent";
+
+  if (config.schedule?.enabled === false) {
+    return { quiet: false, reason: null, level };
+  }
+
+  const snoozed = getSnooze(now);
+  if (snoozed) {
+    const time = snoozed.until.toTimeString().slice(0, 5);
+    return { quiet: true, reason: `snoozed until ${time}`, level };
+  }
+
+  const window = findQuietWindow(config, now);
+  if (window) {
+    return { quiet: true, reason: `quiet hours ${window.start}-${window.end}`, level };
+  }
+
+  return { quiet: false, reason: null, level };
+}
+
+/**
+ * Check whether a summary reports a failure
+ * A failure word counts unless it reports none ("no errors", "0 failed",
+ * "errors: 0"), something fixed, or a feature ("error handling")
+ */
+export function isFailureText(text = "") {
+  for (const match of (text || "").matchAll(FAILURE_PATTERN)) {
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    const feature = /^(error|exception)/i.test(match[0]) && FEATURE_AFTER.test(after);
+    if (!NEGATED_BEFORE.test(before) && !ZERO_AFTER.test(after) && !feature) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Decide whether a piece of speech may be spoken now
+ * During quiet time nothing is spoken, unless quietLevel is "failures"
+ * and this is a summary that reports a failure.
+ *
+ * @param {object} config - Effective config
+ * @param {string} kind - One of SPEECH_KINDS
+ * @param {string} text - Text about to be spoken (may be empty if unknown)
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function shouldSpeak(config, kind, text = "", now = new Date()) {
+  const state = getQuietState(config, now);
+  if (!state.quiet) {
+    return true;
+  }
+
+  return state.level === "failures" && kind === "summary" && isFailureText(text);
+}
+
+export default {
+  SNOOZE_FILE,
+  SPEECH_KINDS,
+  parseDuration,
+  getSnooze,
+  snooze,
+  clearSnooze,
+  findQuietWindow,
+  getQuietState,
+  isFailureText,
+  shouldSpeak,
+};
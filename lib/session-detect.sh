@@ -17,12 +17,16 @@
 set -euo pipefail
 
 INSTALL_DIR="${HOME}/.claude-auto-speak"
-SESSION_CONFIG_FILE="${INSTALL_DIR}/config.json"
-SESSION_LOG_FILE="${INSTALL_DIR}/session-detect.log"
 
-# Log to session detect log
+# Source structured logging
+source "${INSTALL_DIR}/lib/log.sh" 2>/dev/null || true
+
+# Source config access (effective config incl. project overrides)
+source "${INSTALL_DIR}/lib/config.sh" 2>/dev/null || true
+
+# Log a session detection event
 session_log() {
-  echo "[$(date '+%Y-%m-%d %H:%M:%S')] [session-detect] $*" >> "$SESSION_LOG_FILE"
+  log_event info "session-detect" "$@"
 }
 
 # Count user messages in transcript JSONL file
@@ -42,34 +46,15 @@ count_user_messages() {
 
 # Check if skip session start feature is enabled
 is_skip_session_start_enabled() {
-  if [[ ! -f "$SESSION_CONFIG_FILE" ]]; then
-    return 0  # Default to enabled if no config
-  fi
-
-  if command -v jq &>/dev/null; then
-    local enabled=$(jq -r '.skipSessionStart.enabled // true' "$SESSION_CONFIG_FILE" 2>/dev/null)
-    [[ "$enabled" == "true" ]]
-  else
-    # Default to enabled if can't read config
-    return 0
-  fi
+  config_is_true "skipSessionStart.enabled" "true"
 }
 
 # Get minimum user messages threshold from config
 get_min_user_messages() {
-  if [[ ! -f "$SESSION_CONFIG_FILE" ]]; then
-    echo "1"
-    return
-  fi
-
-  if command -v jq &>/dev/null; then
-    local min=$(jq -r '.skipSessionStart.minUserMessages // 1' "$SESSION_CONFIG_FILE" 2>/dev/null)
-    # Validate it's a number
-    if [[ "$min" =~ ^[0-9]+$ ]]; then
-      echo "$min"
-    else
-      echo "1"
-    fi
+  local min=$(get_config "skipSessionStart.minUserMessages" "1")
+  # Validate it's a number
+  if [[ "$min" =~ ^[0-9]+$ ]]; then
+    echo "$min"
   else
     echo "1"
   fi
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Helper for bash scripts to check quiet hours and snoozes
+ * Usage: echo "text" | node should-speak.mjs <summary|acknowledgment|progress>
+ *
+ * Exits 0 if the text may be spoken now, 1 if it is muted. Text on stdin
+ * is optional; it is only needed to let failures through during quiet time.
+ */
+
+import { loadConfig } from "./config.mjs";
+import { shouldSpeak, getQuietState, SPEECH_KINDS } from "./schedule.mjs";
+
+// Read from stdin (empty if nothing is piped)
+async function readStdin() {
+  return new Promise((resolve) => {
+    if (process.stdin.isTTY) {
+      resolve("");
+      return;
+    }
+
+    const chunks = [];
+    process.stdin.on("data", (chunk) => chunks.push(chunk));
+    process.stdin.on("end", () => {
+      resolve(Buffer.concat(chunks).toString("utf-8").trim());
+    });
+  });
+}
+
+async function main() {
+  const kind = process.argv[2];
+
+  if (!SPEECH_KINDS.includes(kind)) {
+    console.error(`Usage: node should-speak.mjs <${SPEECH_KINDS.join("|")}>`);
+    process.exit(2);
+  }
+
+  const text = await readStdin();
+  const config = loadConfig();
+
+  if (shouldSpeak(config, kind, text)) {
+    process.exit(0);
+  }
+
+  // Reason goes to stdout so callers can log it
+  console.log(getQuietState(config).reason);
+  process.exit(1);
+}
+
+main().catch(() => {
+  // Never block speech because of a broken check
+  process.exit(0);
+});
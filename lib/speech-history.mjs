@@ -6,15 +6,19 @@
 
 import { readFileSync, appendFileSync, unlinkSync, existsSync } from "fs";
 import { HISTORY_FILE, ensureConfigDir, loadConfig } from "./config.mjs";
+import { createLogger } from "./logger.mjs";
+
+const logger = createLogger("history");
 
 /**
  * Log spoken text to history
  * Non-blocking, silent failure to never interrupt TTS
  *
  * @param {string} text - Spoken text to log
+ * @param {object} details - Extra fields, e.g. { engine } that spoke it
  * @returns {Promise<void>}
  */
-export async function logSpeech(text) {
+export async function logSpeech(text, details = {}) {
   try {
     const config = loadConfig();
 
@@ -30,6 +34,7 @@ export async function logSpeech(text) {
     const entry = {
       timestamp: new Date().toISOString(),
       text: text.trim(),
+      ...details,
     };
 
     // Append to JSONL file (one JSON per line)
@@ -40,7 +45,7 @@ export async function logSpeech(text) {
     await rotateHistoryIfNeeded(config);
   } catch (error) {
     // Silent failure - never break TTS
-    // Could optionally log to auto-speak.log here
+    logger.warn(`Failed to record speech: ${error.message}`);
   }
 }
 
@@ -229,7 +234,7 @@ export async function exportHistoryAsText() {
     for (const entry of entries) {
       const date = new Date(entry.timestamp);
       const formattedDate = date.toLocaleString();
-      output += `[${formattedDate}]\n`;
+      output += `[${formattedDate}]${entry.engine ? ` (${entry.engine})` : ""}\n`;
       output += `${entry.text}\n\n`;
     }
 
@@ -0,0 +1,299 @@
+/**
+ * Speech normalizer - verbalizes numbers, versions, units and dates
+ *
+ * Summaries are full of facts written for the eye: "v2.3.1", "150ms",
+ * "3/5 tests", "PR #42", "2026-10-19", "200MB". Engines read these
+ * letter by letter or drop them, and stripping the symbols loses the fact
+ * ("3/5" becomes "35"). This stage rewrites them as words in the language
+ * being spoken before anything else is removed:
+ *
+ *   v2.3.1      -> version 2 point 3 point 1
+ *   150ms       -> 150 milliseconds
+ *   45%         -> 45 percent
+ *   3/5         -> 3 of 5
+ *   21st        -> twenty-first
+ *   PR #42      -> PR number 42
+ *   2026-10-19  -> October nineteenth, 2026
+ *   200MB       -> 200 megabytes
+ *   20.1        -> 20 point 1
+ *
+ * Symbols left over afterwards are spoken when they carry meaning (& and
+ * arrows) and dropped otherwise, except + and # ending a word: C++, C# and
+ * F# reach the pronunciation lexicon (lib/lexicon.mjs) intact. Used by
+ * cleanSummary (lib/summarize.mjs) and OutputFilter.stripMarkdownForTTS
+ * (lib/output-filter.mjs).
+ */
+
+import { detectLanguage } from "./language-voice-mapper.mjs";
+
+const EN_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+const EN_ORDINALS = [
+  "zeroth", "first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth",
+  "eleventh", "twelfth", "thirteenth", "fourteenth", "fifteenth", "sixteenth", "seventeenth", "eighteenth",
+  "nineteenth",
+];
+const EN_TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+/**
+ * English ordinal words up to 99; larger numbers keep their digits
+ */
+function englishOrdinal(n) {
+  if (n < 20) {
+    return EN_ORDINALS[n];
+  }
+  if (n < 100) {
+    const tens = EN_TENS[Math.floor(n / 10)];
+    return n % 10 === 0 ? tens.replace(/y$/, "ieth") : `${tens}-${EN_ORDINALS[n % 10]}`;
+  }
+  const suffix = [11, 12, 13].includes(n % 100) ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+/**
+ * Words per language; unit entries are [singular, plural]
+ */
+const LANGUAGES = {
+  en: {
+    decimal: " point ",
+    version: (number) => `version ${number}`,
+    percent: (n) => `${n} percent`,
+    fraction: (a, b) => `${a} of ${b}`,
+    ordinal: (n) => englishOrdinal(n),
+    issue: (n) => `number ${n}`,
+    date: (year, month, day) => `${EN_MONTHS[month - 1]} ${englishOrdinal(day)}, ${year}`,
+    and: "and",
+    to: "to",
+    units: {
+      ns: ["nanosecond", "nanoseconds"],
+      us: ["microsecond", "microseconds"],
+      ms: ["millisecond", "milliseconds"],
+      s: ["second", "seconds"],
+      min: ["minute", "minutes"],
+      h: ["hour", "hours"],
+      kb: ["kilobyte", "kilobytes"],
+      mb: ["megabyte", "megabytes"],
+      gb: ["gigabyte", "gigabytes"],
+      tb: ["terabyte", "terabytes"],
+      kib: ["kibibyte", "kibibytes"],
+      mib: ["mebibyte", "mebibytes"],
+      gib: ["gibibyte", "gibibytes"],
+      tib: ["tebibyte", "tebibytes"],
+    },
+  },
+  vi: {
+    decimal: " chấm ",
+    version: (number) => `phiên bản ${number}`,
+    percent: (n) => `${n} phần trăm`,
+    fraction: (a, b) => `${a} trên ${b}`,
+    ordinal: (n) => ({ 1: "thứ nhất", 4: "thứ tư" })[n] || `thứ ${n}`,
+    issue: (n) => `số ${n}`,
+    date: (year, month, day) => `ngày ${day} tháng ${month} năm ${year}`,
+    and: "và",
+    to: "thành",
+    units: {
+      ns: "nano giây",
+      us: "micro giây",
+      ms: "mili giây",
+      s: "giây",
+      min: "phút",
+      h: "giờ",
+      kb: "kilobyte",
+      mb: "megabyte",
+      gb: "gigabyte",
+      tb: "terabyte",
+      kib: "kibibyte",
+      mib: "mebibyte",
+      gib: "gibibyte",
+      tib: "tebibyte",
+    },
+  },
+  zh: {
+    decimal: "点",
+    version: (number) => `版本${number}`,
+    percent: (n) => `百分之${n}`,
+    fraction: (a, b) => `${b}分之${a}`,
+    ordinal: (n) => `第${n}`,
+    issue: (n) => `${n}号`,
+    date: (year, month, day) => `${year}年${month}月${day}日`,
+    and: "和",
+    to: "到",
+    units: {
+      ns: "纳秒",
+      us: "微秒",
+      ms: "毫秒",
+      s: "秒",
+      min: "分钟",
+      h: "小时",
+      kb: "千字节",
+      mb: "兆字节",
+      gb: "吉字节",
+      tb: "太字节",
+      kib: "千字节",
+      mib: "兆字节",
+      gib: "吉字节",
+      tib: "太字节",
+    },
+  },
+};
+
+// Spellings of each duration unit
+const DURATION_UNITS = {
+  ns: "ns",
+  us: "us",
+  µs: "us",
+  μs: "us",
+  ms: "ms",
+  s: "s",
+  sec: "s",
+  secs: "s",
+  min: "min",
+  mins: "min",
+  h: "h",
+  hr: "h",
+  hrs: "h",
+};
+
+// Units that are ordinary words when separated from the number ("10 us")
+const ATTACHED_ONLY = new Set(["s", "h", "us"]);
+
+/**
+ * Languages the normalizer has words for
+ */
+export const SPEECH_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Language to normalize a text for, decided the way speak picks a voice:
+ * detected when multilingual auto-detection is on, English otherwise
+ *
+ * @param {string} text - Text about to be normalized
+ * @param {object} config - Effective config
+ * @returns {string} ISO 639-1 language code
+ */
+export function speechLanguage(text, config) {
+  if (config?.multilingual?.enabled && config.multilingual.autoDetect) {
+    return detectLanguage(text);
+  }
+  return "en";
+}
+
+/**
+ * Rewrite numbers, versions, units, dates and symbols as words
+ *
+ * @param {string} text - Text to normalize
+ * @param {string} language - Language spoken ("en", "vi", "zh"); others use English
+ * @returns {string}
+ */
+export function normalizeForSpeech(text, language = "en") {
+  if (!text) {
+    return text;
+  }
+  const words = LANGUAGES[String(language).toLowerCase().split(/[-_]/)[0]] || LANGUAGES.en;
+
+  // URLs pass through whole; callers drop or keep them
+  return text
+    .split(/(https?:\/\/\S+)/)
+    .map((part, i) => (i % 2 === 1 ? part : normalizeText(part, words)))
+    .join("");
+}
+
+/**
+ * Normalize text without URLs using one language's words
+ */
+function normalizeText(text, words) {
+  // Decimal points are spoken, or read as a date by some engines
+  const number = (digits) => digits.replace(/\./g, words.decimal);
+  const unit = (n, key) => {
+    const name = words.units[key];
+    return `${number(n)} ${Array.isArray(name) ? name[n === "1" ? 0 : 1] : name}`;
+  };
+
+  let result = text;
+
+  // ISO dates: 2026-10-19 (a time may follow: 2026-10-19T14:30)
+  result = result.replace(/(?<![\w.-])(\d{4})-(\d{2})-(\d{2})(?![\d-])/g, (match, year, month, day) => {
+    const [m, d] = [Number(month), Number(day)];
+    return m >= 1 && m <= 12 && d >= 1 && d <= 31 ? words.date(year, m, d) : match;
+  });
+  // US dates: 10/19/2026
+  result = result.replace(/(?<![\w./])(\d{1,2})\/(\d{1,2})\/(\d{4})(?![\w/])/g, (match, month, day, year) => {
+    const [m, d] = [Number(month), Number(day)];
+    return m >= 1 && m <= 12 && d >= 1 && d <= 31 ? words.date(year, m, d) : match;
+  });
+
+  // Versions: v2.3.1, version v2, v1.0.0-beta.1, and bare 2.3.1. A v
+  // needs dots or "version" before it: V8 and v2 are names
+  result = result.replace(
+    /(?<![\w.])(?:[Vv]ersion\s+v(\d+(?:\.\d+)*)|v(\d+(?:\.\d+)+))(?:-([A-Za-z]+)(?:\.?(\d+))?)?(?!\w|\.\w)/g,
+    (match, named, dotted, tag, tagNumber) =>
+      words.version([number(named ?? dotted), tag, tagNumber].filter(Boolean).join(" "))
+  );
+  result = result.replace(/(?<![\w.])(\d+\.\d+\.\d+)(?!\w|\.\w)/g, (match, digits) => number(digits));
+
+  // Compound durations: 2h15m, 1m30s
+  result = result.replace(/(?<![\w.])(\d+)h(\d+)m(?![\w])/g, (match, h, m) => `${unit(h, "h")} ${unit(m, "min")}`);
+  result = result.replace(/(?<![\w.])(\d+)m(\d+)s(?![\w])/g, (match, m, s) => `${unit(m, "min")} ${unit(s, "s")}`);
+
+  // Durations: 150ms, 10s, 5 min, 2.5h
+  result = result.replace(
+    /(?<![\w.])(\d+(?:\.\d+)?)(\s?)(ns|µs|μs|us|ms|secs?|s|mins?|hrs?|h)(?![\p{L}\p{N}_])/gu,
+    (match, n, space, spelling) => {
+      const key = DURATION_UNITS[spelling];
+      // "10 s" is prose, and "1990s" is a decade
+      if ((space && ATTACHED_ONLY.has(key)) || (key === "s" && /^(1[5-9]|20)\d0$/.test(n))) {
+        return match;
+      }
+      return unit(n, key);
+    }
+  );
+
+  // File sizes: 200MB, 1.5 GiB
+  result = result.replace(/(?<![\w.])(\d+(?:\.\d+)?)\s?([kmgt]i?b)(?![\w])/gi, (match, n, size) =>
+    unit(n, size.toLowerCase())
+  );
+
+  // Percentages: 45%, 99.9 %
+  result = result.replace(/(?<![\w.])(\d+(?:\.\d+)?)\s?%/g, (match, n) => words.percent(number(n)));
+
+  // Decimals: 20.1, 0.5 (not IP addresses)
+  result = result.replace(/(?<![\w.])(\d+\.\d+)(?!\w|\.\w)/g, (match, digits) => number(digits));
+
+  // Fractions and counts: 3/5 (not dates like 10/19/2026 or paths)
+  result = result.replace(/(?<![\w./])(\d+)\/(\d+)(?![\w/]|\.\d)/g, (match, a, b) => words.fraction(a, b));
+
+  // Ordinals: 1st, 22nd, 3rd, 4th
+  result = result.replace(/(?<![\w.])(\d+)(st|nd|rd|th)\b/gi, (match, n) => words.ordinal(Number(n)));
+
+  // Issue and pull request numbers: #42, PR #42
+  result = result.replace(/(?<![\w&#])#(\d+)\b/g, (match, n) => words.issue(n));
+
+  // Symbols that carry meaning
+  result = result.replace(/\s*(?:->|=>|→)\s*/g, ` ${words.to} `);
+  result = result.replace(/\s*&+\s*/g, ` ${words.and} `);
+
+  // File paths are spoken as the file name: src/utils/format.js -> format.js
+  result = result.replace(/(?<![\w.~\/-])(?:~|\.{1,2})?\/?(?:[\w.-]+\/)+[\w.-]*/g, (path) => {
+    const segments = path.split("/").filter((segment) => segment && segment !== "~");
+    const name = segments.at(-1) || "";
+    const isPath = segments.length > 2 || /^[~./]/.test(path) || path.endsWith("/") || /\.\w+$/.test(name);
+    return isPath ? name : path;
+  });
+
+  // Word separators: snake_case, read/write
+  result = result.replace(/(?<=[\p{L}\p{N}])[_/](?=[\p{L}\p{N}])/gu, " ");
+
+  // Remaining symbols that engines read literally; + and # ending a word
+  // are part of its name
+  result = result.replace(/(\p{L}[+#]+)(?![\p{L}\p{N}_])|[~\/\\|<>{}[\]@#$%^*`+=_]/gu, (match, name) => name ?? "");
+
+  return result.replace(/[ \t]{2,}/g, " ");
+}
+
+export default {
+  SPEECH_LANGUAGES,
+  speechLanguage,
+  normalizeForSpeech,
+};
@@ -0,0 +1,259 @@
+/**
+ * Sentence-chunked synthesis for engines that synthesize to WAV
+ *
+ * Piper and VieNeu only start playing once the whole text is synthesized.
+ * Here the text is split into sentences and sentence N+1 is synthesized
+ * while sentence N plays, so the first audio arrives after one sentence.
+ * Clips are normalized (lib/wav.mjs) and written into a single player
+ * process, so there are no gaps between them. Players that cannot read
+ * stdin (afplay) play one file per clip instead.
+ *
+ * Every clip goes through synthesizeWav(), which serves repeats from the
+ * audio cache (lib/audio-cache.mjs) and sends engines with a persistent
+ * spec to the synthesis worker (lib/worker-client.mjs).
+ *
+ * Config:
+ *
+ *   "streaming": {
+ *     "enabled": true,
+ *     "minChunkChars": 20    // Shorter sentences are joined with the next
+ *   }
+ */
+
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { openPlayerStream, playWav } from "./playback.mjs";
+import { normalizeWav, pcmData } from "./wav.mjs";
+import { cacheKey, cacheSettings, normalizeCacheText, readCache, writeCache } from "./audio-cache.mjs";
+import { synthesizeInWorker, workerSettings } from "./worker-client.mjs";
+import { createLogger } from "./logger.mjs";
+import { applyLexicon } from "./lexicon.mjs";
+
+const logger = createLogger("pipeline");
+
+// Sentence ends: terminal punctuation (incl. CJK and ellipsis) followed by
+// whitespace, or a line break. "v1.2" and "e.g.x" do not split.
+const SENTENCE_END = /(?<=[.!?…。！？])\s+|\n+/;
+
+/**
+ * Split text into chunks to synthesize one at a time
+ * Sentences shorter than minChars are joined with the following one, so a
+ * stray "OK." does not cost a synthesis run of its own
+ *
+ * @param {string} text - Text to split
+ * @param {number} minChars - Minimum chunk length
+ * @returns {Array<string>}
+ */
+export function splitSentences(text, minChars = 20) {
+  const chunks = [];
+  let pending = "";
+
+  for (const sentence of text.split(SENTENCE_END)) {
+    const trimmed = sentence.trim();
+    if (!trimmed) continue;
+    pending = pending ? `${pending} ${trimmed}` : trimmed;
+    if (pending.length >= minChars) {
+      chunks.push(pending);
+      pending = "";
+    }
+  }
+
+  if (pending) {
+    // A short tail joins the last chunk rather than standing alone
+    if (chunks.length > 0) {
+      chunks[chunks.length - 1] += ` ${pending}`;
+    } else {
+      chunks.push(pending);
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Cache key for text spoken by an engine, or null if it cannot be cached
+ * Only engines implementing cacheKey(options, config) - which returns the
+ * voice and model the engine would actually use - are cached; without it a
+ * config change could replay audio in the old voice
+ */
+async function audioCacheKey(engine, text, options, config) {
+  if (!cacheSettings(config).enabled || typeof engine.cacheKey !== "function") {
+    return null;
+  }
+  return cacheKey({
+    ...(await engine.cacheKey(options, config)),
+    engine: engine.name,
+    rate: options.rate ? Number(options.rate) : null,
+    language: options.language || null,
+    text: normalizeCacheText(text),
+  });
+}
+
+/**
+ * Write a WAV file with an engine
+ * Engines with a persistent spec go through the synthesis worker, which
+ * keeps their model loaded; if the worker is unavailable (or disabled) the
+ * engine runs once for this text
+ */
+async function synthesizeFile(engine, text, outputFile, options, config) {
+  if (engine.persistent && workerSettings(config).enabled) {
+    if (await synthesizeInWorker(engine, text, outputFile, options, config)) {
+      return;
+    }
+  }
+  await engine.synthesize(text, outputFile, options, config);
+}
+
+/**
+ * Synthesize text to a normalized WAV buffer, from the cache when possible
+ *
+ * @param {object} engine - Registered engine with synthesize()
+ * @param {string} text - Text to synthesize
+ * @param {object} options - { voice, rate, language }
+ * @param {object} config - Effective config
+ * @returns {Promise<Buffer>}
+ */
+export async function synthesizeWav(engine, text, options, config) {
+  const key = await audioCacheKey(engine, text, options, config);
+  const cached = key && readCache(key);
+  if (cached) {
+    logger.debug("Cache hit", { engine: engine.name, chars: text.length });
+    return cached;
+  }
+
+  const tempFile = join(tmpdir(), `speak-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.wav`);
+  try {
+    await synthesizeFile(engine, text, tempFile, options, config);
+    if (!existsSync(tempFile)) {
+      throw new Error(`${engine.name} did not write any audio`);
+    }
+    const wav = normalizeWav(readFileSync(tempFile));
+    if (key) {
+      writeCache(key, wav, config);
+    }
+    return wav;
+  } finally {
+    if (existsSync(tempFile)) {
+      unlinkSync(tempFile);
+    }
+  }
+}
+
+/**
+ * Synthesize phrases into the cache ahead of time
+ * Failures are counted, not thrown: pre-warming is best effort
+ *
+ * @param {object} engine - Registered engine
+ * @param {Array<string>} phrases - Phrases to synthesize
+ * @param {object} config - Effective config
+ * @param {function(string): object} optionsFor - Speak options for a phrase
+ * @returns {Promise<{synthesized: number, cached: number, failed: number}>}
+ */
+export async function warmCache(engine, phrases, config, optionsFor = () => ({})) {
+  const result = { synthesized: 0, cached: 0, failed: 0 };
+  for (const phrase of phrases) {
+    const options = optionsFor(phrase);
+    // Cached under the spoken form, as speakWithEngine() will look it up
+    const text = applyLexicon(phrase, config, { engine: engine.name, language: options.language });
+    const key = await audioCacheKey(engine, text, options, config);
+    if (key && readCache(key)) {
+      result.cached++;
+      continue;
+    }
+    try {
+      await synthesizeWav(engine, text, options, config);
+      result.synthesized++;
+    } catch (err) {
+      logger.warn(`Pre-warming "${phrase}" failed: ${err.message}`, { engine: engine.name });
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Play a normalized WAV through a temp file (players without stdin)
+ */
+async function playClip(wav, index, config) {
+  const tempFile = join(tmpdir(), `speak-${process.pid}-play-${index}.wav`);
+  try {
+    writeFileSync(tempFile, wav);
+    return await playWav(tempFile, config);
+  } finally {
+    if (existsSync(tempFile)) {
+      unlinkSync(tempFile);
+    }
+  }
+}
+
+/**
+ * Speak text sentence by sentence, synthesizing ahead of playback
+ * Text that is a single chunk (or with streaming disabled) is synthesized
+ * whole and played. Throws if the first chunk fails (nothing spoken yet, so the caller can
+ * fall back to another engine); a later failure ends speech early instead,
+ * so sentences already heard are not repeated
+ *
+ * @param {object} engine - Registered engine with synthesize()
+ * @param {string} text - Text to speak
+ * @param {object} options - { voice, rate, language }
+ * @param {object} config - Effective config
+ * @returns {Promise<number>} Exit code (0 = spoken)
+ */
+export async function speakChunked(engine, text, options, config) {
+  const streaming = { enabled: true, minChunkChars: 20, ...config.streaming };
+  const chunks = streaming.enabled ? splitSentences(text, streaming.minChunkChars) : [text];
+  if (chunks.length <= 1) {
+    return playClip(await synthesizeWav(engine, text, options, config), 0, config);
+  }
+
+  const player = openPlayerStream(config);
+  const done = logger.time("Streamed", { engine: engine.name, chunks: chunks.length, player: player ? "stream" : "files" });
+  const start = Date.now();
+  let firstAudioMs = null;
+
+  let next = synthesizeWav(engine, chunks[0], options, config);
+  let code = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    let wav;
+    try {
+      wav = await next;
+    } catch (err) {
+      if (i === 0) {
+        await player?.end().catch(() => {});
+        throw err;
+      }
+      logger.warn(`Stopped after ${i} of ${chunks.length} chunks: ${err.message}`, { engine: engine.name });
+      code = 1;
+      break;
+    }
+
+    if (i === 0) {
+      firstAudioMs = Date.now() - start;
+    }
+    if (i + 1 < chunks.length) {
+      next = synthesizeWav(engine, chunks[i + 1], options, config);
+      next.catch(() => {}); // Handled when awaited above
+    }
+
+    if (player) {
+      await player.write(pcmData(wav));
+    } else {
+      code = await playClip(wav, i, config);
+      if (code !== 0) break;
+    }
+  }
+
+  if (player) {
+    const playerCode = await player.end();
+    code = code || playerCode;
+  }
+  done({ level: code === 0 ? "info" : "warn", exitCode: code, firstAudioMs });
+  return code;
+}
+
+export default {
+  splitSentences,
+  synthesizeWav,
+  warmCache,
+  speakChunked,
+};
@@ -7,10 +7,22 @@
  * Usage: node summarize.mjs <transcript_path>
  */
 
-import { readFileSync } from "fs";
+import { realpathSync } from "fs";
+import { fileURLToPath } from "url";
 import { createOutputFilter } from "./output-filter.mjs";
-import { loadConfig, log } from "./config.mjs";
-import { translateText } from "./translator.mjs";
+import { loadConfig, getTranscriptCwd } from "./config.mjs";
+import { translateText, LANGUAGE_NAMES } from "./translator.mjs";
+import { complete, llmSettings } from "./llm-client.mjs";
+import { buildPrompt } from "./prompts.mjs";
+import { verbositySettings } from "./verbosity.mjs";
+import { readTranscript, lastExchange } from "./transcript.mjs";
+import { collectTurnFacts, formatFactsForPrompt, describeFacts } from "./turn-facts.mjs";
+import { normalizeForSpeech, speechLanguage } from "./speech-normalizer.mjs";
+import { createLogger, sessionFromTranscript } from "./logger.mjs";
+
+const logger = createLogger("summarize", {
+  session: process.env.CLAUDE_SESSION_ID || sessionFromTranscript(process.argv[2]),
+});
 
 async function main() {
   const transcriptPath = process.argv[2];
@@ -21,108 +33,48 @@ async function main() {
   }
 
   try {
-    // Read transcript - it's JSONL format (one JSON per line)
-    const transcriptData = readFileSync(transcriptPath, "utf-8");
-    const lines = transcriptData.trim().split("\n");
-
-    // Parse each line and collect messages in order
-    const messages = [];
-    for (const line of lines) {
-      try {
-        const entry = JSON.parse(line);
-        if (
-          (entry.type === "assistant" || entry.type === "user") &&
-          entry.message
-        ) {
-          messages.push(entry);
-        }
-      } catch (e) {
-        // Skip malformed lines
-      }
-    }
-
-    // Find the last assistant message that has text content
-    let lastAssistantIdx = -1;
-    for (let i = messages.length - 1; i >= 0; i--) {
-      if (messages[i].type === "assistant") {
-        const content = messages[i].message?.content;
-        if (Array.isArray(content)) {
-          const hasText = content.some((block) => block.type === "text");
-          if (hasText) {
-            lastAssistantIdx = i;
-            break;
-          }
-        } else if (typeof content === "string" && content.trim()) {
-          lastAssistantIdx = i;
-          break;
-        }
-      }
-    }
-
-    if (lastAssistantIdx === -1) {
+    const exchange = lastExchange(readTranscript(transcriptPath));
+    if (!exchange) {
       process.exit(0); // No assistant message, silent exit
     }
 
-    // Find the user message that preceded this assistant message
-    let userQuestion = "";
-    for (let i = lastAssistantIdx - 1; i >= 0; i--) {
-      if (messages[i].type === "user") {
-        const userContent = messages[i].message?.content;
-        let text = "";
-        if (typeof userContent === "string") {
-          text = userContent;
-        } else if (Array.isArray(userContent)) {
-          const textBlocks = userContent.filter((b) => b.type === "text");
-          text = textBlocks.map((b) => b.text).join("\n");
-        }
-        // Skip system/meta messages
-        if (text && !text.startsWith("<") && text.trim().length > 0) {
-          userQuestion = text;
-          break;
-        }
-      }
-    }
+    // Every assistant text since the question: the closing line is often
+    // just "Done!" and the substance came earlier in the turn
+    const { userQuestion, responseTexts, turn } = exchange;
 
-    // Get the last assistant message content
-    const lastEntry = messages[lastAssistantIdx];
-    const content = lastEntry.message.content;
-
-    // Extract text content from assistant response
-    let responseText = "";
-    if (typeof content === "string") {
-      responseText = content;
-    } else if (Array.isArray(content)) {
-      const textBlocks = content.filter((block) => block.type === "text");
-      responseText = textBlocks.map((block) => block.text).join("\n");
-    }
+    // Resolve config and prompt templates for the project the session ran in
+    const cwd = getTranscriptCwd(transcriptPath);
+    const config = loadConfig({ cwd });
+    // Translated summaries are normalized in English, then translated as words
+    const language = speechLanguage(responseTexts.join("\n"), config);
+    const verbosity = verbositySettings(config);
+    // Files changed, commands, tests and errors, from the turn's tool calls
+    const facts = collectTurnFacts(turn);
 
-    if (!responseText || responseText.trim().length === 0) {
-      process.exit(0); // No text content
-    }
-
-    // Step 1: Apply output filter to remove verbose content
-    const filter = createOutputFilter({
-      maxLength: 1000, // Allow longer for summarization
-      maxCodeLines: 0, // Remove all code blocks
-      includeFilePaths: false,
-      includeStats: false,
-    });
+    // Step 1: Apply output filter to remove verbose content, within budget
+    const blocks = filterTurn(responseTexts, language, verbosity);
 
-    const filtered = filter.filter(responseText);
-
-    if (!filtered || filtered.trim().length === 0) {
+    if (blocks.length === 0) {
       process.exit(0); // Nothing speakable after filtering
     }
 
     // Step 2: Context-aware summarization
-    const config = loadConfig();
     let summary;
 
+    const done = logger.time("Summary generated", {
+      useLLM: config.useLLM,
+      verbosity: verbosity.level,
+      texts: blocks.length,
+      chars: blocks.join("\n\n").length,
+      edited: facts.edited.length + facts.created.length,
+      commands: facts.commands.length,
+    });
     if (config.useLLM) {
-      summary = await contextAwareSummarize(filtered, userQuestion, config);
+      summary = await contextAwareSummarize(blocks, userQuestion, config, { language, cwd, verbosity, facts });
     } else {
-      summary = fallbackSummarize(filtered);
+      summary = fallbackSummarize(blocks, language, verbosity, facts);
     }
+    done({ summaryChars: summary ? summary.length : 0 });
 
     // Step 3: Translate if multilingual mode is enabled
     if (
@@ -134,13 +86,11 @@ async function main() {
       try {
         summary = await translateText(summary, {
           targetLang: config.multilingual.targetLanguage,
-          ollamaUrl: config.ollamaUrl,
-          ollamaModel: config.translation?.model || "gemma2:9b",
-          timeout: config.translation?.timeout || 10000,
-          fallbackToOriginal: config.translation?.fallbackToOriginal !== false,
+          config,
+          cwd,
         });
       } catch (error) {
-        log(`Translation failed: ${error.message}`);
+        logger.warn(`Translation failed: ${error.message}`);
         // Continue with original summary
       }
     }
@@ -161,115 +111,118 @@ async function main() {
 
     process.exit(0);
   } catch (error) {
-    log(`Error: ${error.message}`);
+    logger.error(`Error: ${error.message}`);
     process.exit(1);
   }
 }
 
 /**
- * Context-aware summarization using Qwen
+ * Filter a response down to the speakable text the summary is made from
+ *
+ * @param {string} responseText - Assistant response
+ * @param {string} language - Language numbers and units are verbalized in
+ * @param {object} verbosity - verbositySettings(); sets how much is kept
+ * @returns {string}
  */
-async function contextAwareSummarize(response, userQuestion, config) {
-  const ollamaUrl = config.ollamaUrl || "http://localhost:11434";
-  const model = config.ollamaModel || "qwen2.5:1.5b";
-  const timeout = 10000;
-
-  // Build context-aware prompt
-  let prompt;
-  if (userQuestion && userQuestion.trim().length > 0) {
-    prompt = `You are a voice assistant. The user asked: "${userQuestion.trim().substring(0, 200)}"
-
-The assistant's response:
-${response.substring(0, 3000)}
-
-Your task: Create a clear spoken summary answering what the user asked.
-
-FORMAT (brief, under 20 words):
-- Use natural conversational speech
-- For lists: "First, [action]. Second, [action]. Third, [action]."
-- State ONLY the main point once - do not repeat or rephrase
-
-STRICT RULES - NEVER include:
-- File names or paths (voice-config.json, .agents/ralph, src/components)
-- File extensions (.sh, .js, .py, .md, .json, .tsx)
-- Technical references ("the file", "the script", "the function", "the config")
-- Symbols: ~ / \\ | @ # $ % ^ & * \` < > { } [ ] = + _
-- Numbers with units unless essential (150ms, 10s, 200MB)
-- Abbreviations (TTS, API, CLI) - say full words
-- Code syntax or technical jargon
-
-WHAT TO SAY:
-- Actions completed: "Added feature X", "Fixed the login bug"
-- Key outcomes: "Users can now...", "The system will..."
-- Next steps: "You should...", "Consider..."
-- Answer directly - what did we accomplish?
-
-BAD: "Updated the voice config dot json file in dot agents slash ralph"
-GOOD: "Changed the voice settings to use a quieter tone"
-
-BAD: "One, modified the file. Two, tested the file. Three, the file works now."
-GOOD: "First, adjusted the settings. Second, verified it works. Done."
-
-Spoken summary (natural speech only, no repetition):`;
-  } else {
-    // Fallback to standard summarization without context
-    prompt = `You are a voice assistant converting this response to natural speech:
-
-${response.substring(0, 3000)}
-
-Create a spoken summary (brief, under 20 words).
-
-STRICT RULES - NEVER include:
-- File names, paths, or extensions
-- Symbols: ~ / \\ | @ # $ % ^ & * \` < > { } [ ] = + _
-- Technical references or abbreviations
-- Repetitive phrases
-
-FORMAT:
-- Natural conversational speech
-- For lists: "First, [item]. Second, [item]. Third, [item]."
-- State each point once only
-
-Spoken summary (no repetition):`;
-  }
-
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const res = await fetch(`${ollamaUrl}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model,
-        prompt,
-        stream: false,
-        options: {
-          num_predict: 150,
-          temperature: 0.2,        // Lower = more focused, less repetition
-          top_p: 0.85,             // Slightly more deterministic
-          top_k: 40,               // Limit vocabulary diversity
-          repeat_penalty: 1.3,     // Strongly penalize repetition
-          frequency_penalty: 0.5,  // Reduce word reuse
-          presence_penalty: 0.3,   // Encourage variety in concepts
-          stop: ["\n\n", "Summary:", "Note:", "Important:"], // Stop at meta-text
-        },
-      }),
-      signal: controller.signal,
-    });
+export function filterResponse(responseText, language = "en", verbosity = verbositySettings()) {
+  const filter = createOutputFilter({
+    maxLength: verbosity.filterMaxLength, // Allow longer for summarization
+    maxCodeLines: 0, // Remove all code blocks
+    includeFilePaths: false,
+    includeStats: false,
+    language,
+  });
+  return filter.filter(responseText);
+}
 
-    clearTimeout(timeoutId);
+// Smallest share of the budget worth giving an earlier text
+const MIN_SHARE = 80;
 
-    if (!res.ok) {
-      throw new Error(`Ollama returned ${res.status}`);
+/**
+ * Filter the turn's assistant texts within the verbosity level's budget
+ * (filterMaxLength). Recent texts weigh more: working back from the newest,
+ * each may take two thirds of the budget left (all of it when it is the only
+ * text), so the closing text and the work just before it dominate and early
+ * narration is sketched or dropped.
+ *
+ * @param {string[]} texts - Assistant texts since the question, oldest first
+ * @param {string} language - Language numbers and units are verbalized in
+ * @param {object} verbosity - verbositySettings()
+ * @returns {string[]} Filtered texts, oldest first (empty ones dropped)
+ */
+export function filterTurn(texts, language = "en", verbosity = verbositySettings()) {
+  let remaining = verbosity.filterMaxLength;
+  const blocks = [];
+  for (let i = texts.length - 1; i >= 0 && remaining >= MIN_SHARE; i--) {
+    const share = texts.length === 1 ? remaining : Math.floor((remaining * 2) / 3);
+    const filtered = filterResponse(texts[i], language, { ...verbosity, filterMaxLength: share });
+    if (filtered) {
+      blocks.unshift(filtered);
+      remaining -= filtered.length;
     }
+  }
+  return blocks;
+}
 
-    const data = await res.json();
-    return cleanSummary(data.response || "");
+/**
+ * Render the summary prompt for a filtered response (lib/prompts.mjs)
+ * Uses the "summary" template when the question is known, otherwise
+ * "summary-no-question"
+ *
+ * @param {string} response - Filtered response
+ * @param {string} userQuestion - Question the response answers, or ""
+ * @param {object} options - { language, cwd } of the session, the
+ *   verbositySettings() that set the word budget, and the turn's facts
+ *   (collectTurnFacts())
+ * @returns {{name: string, prompt: string}} Template name and rendered prompt
+ */
+export function summaryPrompt(
+  response,
+  userQuestion,
+  { language = "en", cwd, verbosity = verbositySettings(), facts = null } = {}
+) {
+  const name = userQuestion && userQuestion.trim().length > 0 ? "summary" : "summary-no-question";
+  const prompt = buildPrompt(
+    name,
+    {
+      userQuestion: (userQuestion || "").trim().substring(0, 200),
+      // filterTurn() puts the newest, most heavily weighted blocks last
+      response: response.slice(-3000),
+      language: LANGUAGE_NAMES[language] || language,
+      maxWords: verbosity.maxWords,
+      detail: verbosity.detail,
+      facts: formatFactsForPrompt(facts),
+    },
+    { cwd }
+  );
+  return { name, prompt };
+}
+
+/**
+ * Context-aware summarization with the summary model (see lib/llm-client.mjs)
+ */
+async function contextAwareSummarize(blocks, userQuestion, config, { language = "en", cwd, verbosity, facts } = {}) {
+  const { prompt } = summaryPrompt(blocks.join("\n\n"), userQuestion, { language, cwd, verbosity, facts });
+
+  try {
+    const summary = await complete(config, "summary", {
+      prompt,
+      options: {
+        maxTokens: verbosity.maxTokens,
+        temperature: 0.2,        // Lower = more focused, less repetition
+        topP: 0.85,              // Slightly more deterministic
+        topK: 40,                // Limit vocabulary diversity
+        repeatPenalty: 1.3,      // Strongly penalize repetition
+        frequencyPenalty: 0.5,   // Reduce word reuse
+        presencePenalty: 0.3,    // Encourage variety in concepts
+        stop: ["\n\n", "Summary:", "Note:", "Important:"], // Stop at meta-text
+      },
+    });
+    return cleanSummary(summary, language);
   } catch (error) {
-    log(`LLM failed, using fallback: ${error.message}`);
+    logger.warn(`LLM failed, using fallback: ${error.message}`, { model: llmSettings(config, "summary").model });
     if (config.fallbackToRegex) {
-      return fallbackSummarize(response);
+      return fallbackSummarize(blocks, language, verbosity, facts);
     }
     return null;
   }
@@ -278,8 +231,11 @@ Spoken summary (no repetition):`;
 /**
  * Clean up the generated summary
  * Enhanced to catch symbols, technical terms, and repetitive patterns
+ *
+ * @param {string} text - Summary or filtered response
+ * @param {string} language - Language numbers and units are verbalized in
  */
-function cleanSummary(text) {
+function cleanSummary(text, language = "en") {
   let result = text.trim();
 
   // Remove code blocks
@@ -290,8 +246,8 @@ function cleanSummary(text) {
   result = result.replace(/^#{1,6}\s+/gm, "");
   result = result.replace(/\*\*([^*]+)\*\*/g, "$1");
   result = result.replace(/\*([^*]+)\*/g, "$1");
-  result = result.replace(/__([^_]+)__/g, "$1");
-  result = result.replace(/_([^_]+)_/g, "$1");
+  result = result.replace(/(?<!\w)__([^_]+)__(?!\w)/g, "$1");
+  result = result.replace(/(?<!\w)_([^_]+)_(?!\w)/g, "$1");
 
   // Remove bullet points
   result = result.replace(/^[\s]*[-*+]\s+/gm, "");
@@ -303,7 +259,7 @@ function cleanSummary(text) {
 
   // Remove path-like patterns (e.g., .agents/ralph/lib/, src/components/)
   result = result.replace(/\.[\w\-/]+\//g, "");
-  result = result.replace(/[\w\-]+\/[\w\-]+\//g, ""); // foo/bar/ patterns
+  result = result.replace(/\b(?!\d+\/\d+\/)[\w\-]+\/[\w\-]+\//g, ""); // foo/bar/ patterns, not 10/19/2026
 
   // Remove URLs
   result = result.replace(/https?:\/\/[^\s]+/g, "");
@@ -311,9 +267,9 @@ function cleanSummary(text) {
   // Remove XML/HTML-like tags
   result = result.replace(/<[^>]+>/g, "");
 
-  // AGGRESSIVE SYMBOL REMOVAL
-  // Remove ALL problematic symbols that TTS reads literally
-  result = result.replace(/[~\/\\|<>{}[\]@#$%^&*`+=_]/g, "");
+  // Verbalize versions, durations, percentages, dates and the like, then
+  // drop the symbols TTS would read literally (lib/speech-normalizer.mjs)
+  result = normalizeForSpeech(result, language);
 
   // Replace "dot" when it appears as word (from file extensions being read)
   result = result.replace(/\bdot\b/gi, "");
@@ -321,8 +277,8 @@ function cleanSummary(text) {
   result = result.replace(/\btilda\b/gi, "");
   result = result.replace(/\btilde\b/gi, "");
 
-  // Remove technical abbreviations that slip through
-  result = result.replace(/\b(API|CLI|TTS|JSON|HTML|CSS|URL|HTTP|HTTPS|SSH|FTP)\b/g, "");
+  // Abbreviations like API and JSON are kept: engines spell them out, and
+  // the pronunciation lexicon (lib/lexicon.mjs) covers the ones they don't
 
   // Remove common technical words when followed by generic terms
   result = result.replace(/\bthe (file|script|function|config|directory|folder|repository|repo)\b/gi, "it");
@@ -335,8 +291,8 @@ function cleanSummary(text) {
   result = result.replace(/[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, "");
 
   // Fix spacing around punctuation
-  result = result.replace(/\s+([,.!?;:])/g, "$1"); // Remove space before punctuation
-  result = result.replace(/([,.!?;:])\s*/g, "$1 "); // Ensure space after punctuation
+  result = result.replace(/\s+([,.!?;:])(?!\w)/g, "$1"); // Remove space before punctuation (not before .NET)
+  result = result.replace(/(?<=\S)([,.!?;:])\s*(?!\d)/g, "$1 "); // Ensure space after punctuation (not in 2.5 or 10:30)
 
   // Remove extra punctuation (multiple periods, etc.)
   result = result.replace(/\.{2,}/g, ".");
@@ -420,15 +376,60 @@ function calculateOverlap(sig1, sig2) {
 
 /**
  * Fallback summarization when LLM is unavailable
+ * Leads with the turn's facts as a sentence (English only), then the
+ * response cut at the verbosity level's length, on a sentence boundary if
+ * possible
+ *
+ * @param {string|string[]} text - Filtered response, or filtered texts oldest
+ *   first (from filterTurn(); the newest that fit are used)
  */
-function fallbackSummarize(text) {
-  let result = cleanSummary(text);
+export function fallbackSummarize(text, language = "en", verbosity = verbositySettings(), facts = null) {
+  const factual = language === "en" ? describeFacts(facts) : "";
+  const maxLength = verbosity.fallbackLength - factual.length;
+  // Too little room left for a useful sentence: the facts say enough
+  if (factual && maxLength < 40) {
+    return factual;
+  }
 
-  // If still too long, truncate at sentence boundary
-  if (result.length > 200) {
-    const truncated = result.substring(0, 200);
+  const source = Array.isArray(text) ? recentContext(text, maxLength) : text;
+  const result = truncateSummary(cleanSummary(source, language), maxLength);
+  return factual ? `${factual} ${result}` : result;
+}
+
+/**
+ * The newest texts that fit in a length, oldest first
+ * The newest is kept whole (truncated later); earlier ones only contribute
+ * whole sentences, so no fragment is spoken before the newest
+ */
+function recentContext(blocks, length) {
+  const kept = [blocks.at(-1)];
+  let room = length - blocks.at(-1).length;
+  for (let i = blocks.length - 2; i >= 0 && room > 0; i--) {
+    const sentences = blocks[i].match(/[^.!?]+[.!?]+(?=\s|$)/g) || [];
+    let block = "";
+    for (const sentence of sentences) {
+      if (block.length + sentence.length + 1 > room) {
+        break;
+      }
+      block += sentence;
+    }
+    if (!block.trim()) {
+      break;
+    }
+    kept.unshift(block.trim());
+    room -= block.length + 1;
+  }
+  return kept.join(" ");
+}
+
+/**
+ * Cut text at a sentence boundary (or a word) within maxLength
+ */
+function truncateSummary(result, maxLength) {
+  if (result.length > maxLength) {
+    const truncated = result.substring(0, maxLength);
     const lastPeriod = truncated.lastIndexOf(". ");
-    if (lastPeriod > 100) {
+    if (lastPeriod > maxLength / 3) {
       return truncated.substring(0, lastPeriod + 1);
     }
     return truncated.substring(0, truncated.lastIndexOf(" ")) + "...";
@@ -437,4 +438,7 @@ function fallbackSummarize(text) {
   return result;
 }
 
-main();
+// Run as a script; auto-speak prompts imports the prompt builders
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
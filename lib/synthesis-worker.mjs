@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Synthesis worker - keeps neural TTS models loaded between utterances
+ *
+ * Loading a Piper ONNX model or the VieNeu GGUF backbone often takes longer
+ * than synthesizing a short acknowledgment. This worker listens on
+ * WORKER_SOCKET and keeps one long-lived process per model for engines that
+ * declare a `persistent` spec (see lib/tts-engines.mjs): Piper in
+ * --json-input mode, VieNeu in `vieneu-tts.py --serve` mode. Each process
+ * takes one JSON line per utterance and answers with one line when the WAV
+ * is written.
+ *
+ * Started on demand by lib/worker-client.mjs, and shuts down after
+ * worker.idleSeconds without requests. A process that takes longer than
+ * worker.timeoutSeconds over one utterance is killed, and every request
+ * waiting on it is answered with timedOut so the client runs the engine
+ * once instead; the next request starts a fresh process.
+ *
+ * Protocol: one JSON request line per connection, one JSON response line
+ *   { type: "synthesize", engine, text, output, options, config } -> { ok, error, timedOut }
+ *   { type: "status" } -> { ok, pid, startedAt, requests, processes }
+ *   { type: "stop" } -> { ok }
+ */
+
+import { spawn } from "child_process";
+import { chmodSync, existsSync, unlinkSync } from "fs";
+import { createConnection, createServer } from "net";
+import { createInterface } from "readline";
+import { loadConfig } from "./config.mjs";
+import { getEngine } from "./tts-engines.mjs";
+import { WORKER_SOCKET, workerSettings } from "./worker-client.mjs";
+import { createLogger } from "./logger.mjs";
+
+const logger = createLogger("worker");
+
+// Long-lived engine processes by spec key
+const processes = new Map();
+const startedAt = Date.now();
+let requests = 0;
+let pending = 0;
+let idleTimer = null;
+let server = null;
+
+/**
+ * Start a long-lived engine process
+ * Requests are answered in order, so each output line resolves the oldest
+ * waiting request. Only that one is being synthesized, so only it is timed:
+ * if it takes longer than its timeout the process is killed and every
+ * waiting request fails with timedOut set.
+ *
+ * @param {{key: string, command: string, args: Array<string>, env?: object}} spec
+ * @returns {{send: function(object, number): Promise<string>, stop: function(): void}}
+ */
+function startProcess(spec) {
+  const child = spawn(spec.command, spec.args, {
+    stdio: ["pipe", "pipe", "pipe"],
+    env: spec.env || process.env,
+  });
+  const waiting = [];
+  let lastError = "";
+  let timer = null;
+
+  logger.info("Started engine process", { key: spec.key, childPid: child.pid });
+
+  function timeOldest() {
+    clearTimeout(timer);
+    const oldest = waiting[0];
+    if (!oldest) return;
+    timer = setTimeout(() => {
+      logger.warn(`${spec.key} did not answer within ${oldest.timeoutMs}ms, restarting it`, { key: spec.key });
+      fail(`${spec.key} did not answer within ${oldest.timeoutMs}ms`, { timedOut: true });
+      child.kill("SIGKILL");
+    }, oldest.timeoutMs);
+  }
+
+  createInterface({ input: child.stdout }).on("line", (line) => {
+    waiting.shift()?.resolve(line);
+    timeOldest();
+  });
+  createInterface({ input: child.stderr }).on("line", (line) => {
+    if (line.trim()) lastError = line.trim();
+  });
+  child.stdin.on("error", () => {}); // Reported by the exit handler
+
+  // A process killed after a timeout may exit after its replacement started
+  function fail(message, details = {}) {
+    clearTimeout(timer);
+    if (processes.get(spec.key) === handle) {
+      processes.delete(spec.key);
+    }
+    for (const request of waiting.splice(0)) {
+      request.reject(Object.assign(new Error(message), details));
+    }
+  }
+
+  child.on("error", (err) => fail(`Cannot start ${spec.command}: ${err.message}`));
+  child.on("exit", (code, signal) => {
+    logger.info("Engine process exited", { key: spec.key, code, signal });
+    fail(`${spec.key} exited with code ${code ?? signal}${lastError ? `: ${lastError}` : ""}`);
+  });
+
+  const handle = {
+    send(message, timeoutMs) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject, timeoutMs });
+        if (waiting.length === 1) {
+          timeOldest();
+        }
+        child.stdin.write(JSON.stringify(message) + "\n");
+      });
+    },
+    stop() {
+      child.kill();
+    },
+  };
+  return handle;
+}
+
+/**
+ * Synthesize one utterance with an engine's persistent process
+ */
+async function synthesize({ engine: name, text, output, options, config }) {
+  const engine = await getEngine(name);
+  if (!engine?.persistent) {
+    throw new Error(`${name} cannot run in the synthesis worker`);
+  }
+
+  const spec = await engine.persistent.spawn(options, config);
+  if (!processes.has(spec.key)) {
+    processes.set(spec.key, startProcess(spec));
+  }
+
+  const done = logger.time("Synthesized", { engine: name, key: spec.key, chars: text.length });
+  const { timeoutSeconds } = workerSettings(config);
+  const message = engine.persistent.request(text, output, options, config);
+  const line = await processes.get(spec.key).send(message, timeoutSeconds * 1000);
+  engine.persistent.response?.(line, output);
+  done();
+}
+
+/**
+ * Shut down after idleSeconds without requests
+ */
+function scheduleIdleShutdown(idleSeconds) {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    if (pending === 0) {
+      shutdown("idle");
+    }
+  }, idleSeconds * 1000);
+}
+
+function shutdown(reason) {
+  logger.info("Shutting down", { reason, requests });
+  for (const engineProcess of processes.values()) {
+    engineProcess.stop();
+  }
+  server?.close();
+  if (existsSync(WORKER_SOCKET)) {
+    unlinkSync(WORKER_SOCKET);
+  }
+  process.exit(0);
+}
+
+/**
+ * Answer one connection
+ */
+function handleConnection(socket, idleSeconds) {
+  let buffer = "";
+  let closed = false;
+  socket.on("close", () => (closed = true));
+  socket.on("error", () => {}); // Client went away
+
+  const reply = (response) => {
+    if (!closed) {
+      socket.end(JSON.stringify(response) + "\n");
+    }
+  };
+
+  socket.on("data", async (chunk) => {
+    buffer += chunk;
+    const newline = buffer.indexOf("\n");
+    if (newline === -1) return;
+    socket.removeAllListeners("data");
+
+    let request;
+    try {
+      request = JSON.parse(buffer.slice(0, newline));
+    } catch (err) {
+      reply({ ok: false, error: "Invalid request" });
+      return;
+    }
+
+    if (request.type === "status") {
+      reply({ ok: true, pid: process.pid, startedAt, requests, idleSeconds, processes: [...processes.keys()] });
+      return;
+    }
+    if (request.type === "stop") {
+      reply({ ok: true });
+      socket.on("close", () => shutdown("stop"));
+      return;
+    }
+
+    pending++;
+    requests++;
+    try {
+      await synthesize(request);
+      reply({ ok: true });
+    } catch (err) {
+      logger.warn(`Synthesis failed: ${err.message}`, { engine: request.engine });
+      reply({ ok: false, error: err.message, ...(err.timedOut ? { timedOut: true } : {}) });
+    } finally {
+      pending--;
+      scheduleIdleShutdown(idleSeconds);
+    }
+
+    // Cancelled while synthesizing: nobody will pick up the WAV
+    if (closed && request.output && existsSync(request.output)) {
+      unlinkSync(request.output);
+    }
+  });
+}
+
+/**
+ * Whether another worker is already listening on the socket
+ */
+function isListening() {
+  return new Promise((resolve) => {
+    const socket = createConnection(WORKER_SOCKET);
+    socket.on("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.on("error", () => resolve(false));
+  });
+}
+
+async function main() {
+  const { idleSeconds } = workerSettings(loadConfig());
+
+  if (existsSync(WORKER_SOCKET)) {
+    if (await isListening()) {
+      // Started twice by concurrent speak processes: the other one serves
+      process.exit(0);
+    }
+    unlinkSync(WORKER_SOCKET); // Left behind by a crashed worker
+  }
+
+  server = createServer((socket) => handleConnection(socket, idleSeconds));
+  server.on("error", (err) => {
+    if (err.code === "EADDRINUSE") {
+      process.exit(0);
+    }
+    logger.error(`Worker failed: ${err.message}`);
+    process.exit(1);
+  });
+  server.listen(WORKER_SOCKET, () => {
+    chmodSync(WORKER_SOCKET, 0o600);
+    logger.info("Listening", { socket: WORKER_SOCKET, idleSeconds });
+    scheduleIdleShutdown(idleSeconds);
+  });
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+main().catch((error) => {
+  logger.error(`Worker failed: ${error.message}`);
+  process.exit(1);
+});
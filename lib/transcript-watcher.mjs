@@ -13,24 +13,35 @@
  * 5. Exits after speaking the acknowledgment
  */
 
-import { readFileSync, statSync, existsSync } from "fs";
+import { readFileSync, statSync, existsSync, realpathSync } from "fs";
 import { execSync, spawn } from "child_process";
 import { homedir } from "os";
 import { join } from "path";
-import { loadConfig, log as configLog } from "./config.mjs";
-import { translateText } from "./translator.mjs";
+import { fileURLToPath } from "url";
+import { loadConfig, getTranscriptCwd } from "./config.mjs";
+import { createLogger, sessionFromTranscript } from "./logger.mjs";
+import { translateText, LANGUAGE_NAMES } from "./translator.mjs";
+import { complete } from "./llm-client.mjs";
+import { buildPrompt } from "./prompts.mjs";
+import { speechLanguage } from "./speech-normalizer.mjs";
+import { readTranscript, lastExchange } from "./transcript.mjs";
 import { logSpeech } from "./speech-history.mjs";
+import { shouldSpeak, getQuietState } from "./schedule.mjs";
 
 const POLL_INTERVAL = 200; // ms
 const MAX_WAIT = 30000; // 30 seconds max wait time
-const MAX_SPEAK_LENGTH = 150; // Max chars before summarization
+export const MAX_SPEAK_LENGTH = 150; // Max chars before summarization
+export const ACK_MAX_WORDS = 15; // Word budget of the acknowledgment prompt ({{maxWords}})
 
 const transcriptPath = process.argv[2];
 const INSTALL_DIR = join(homedir(), ".claude-auto-speak");
 
-function log(msg) {
-  const ts = new Date().toISOString().replace("T", " ").substring(0, 19);
-  console.log(`[${ts}] [watcher] ${msg}`);
+const logger = createLogger("watcher", {
+  session: process.env.CLAUDE_SESSION_ID || sessionFromTranscript(transcriptPath),
+});
+
+function log(msg, level = "info") {
+  logger[level](msg);
 }
 
 function sleep(ms) {
@@ -69,7 +80,7 @@ function extractText(content) {
 /**
  * Clean text for TTS - remove markdown, code blocks, etc.
  */
-function cleanForTTS(text) {
+export function cleanForTTS(text) {
   let result = text;
 
   // Remove code blocks
@@ -100,68 +111,44 @@ function cleanForTTS(text) {
 }
 
 /**
- * Summarize long text using Qwen
+ * Render the acknowledgment prompt for cleaned text (lib/prompts.mjs)
+ *
+ * @param {string} text - Cleaned acknowledgment text
+ * @param {object} config - Effective config
+ * @param {object} options - { userQuestion, cwd } of the session
+ * @returns {string}
  */
-async function summarizeForTTS(text) {
-  // Load config for Ollama settings
-  let ollamaUrl = "http://localhost:11434";
-  let model = "qwen2.5:1.5b";
-
-  try {
-    const configPath = join(INSTALL_DIR, "config.json");
-    if (existsSync(configPath)) {
-      const config = JSON.parse(readFileSync(configPath, "utf-8"));
-      ollamaUrl = config.ollamaUrl || ollamaUrl;
-      model = config.ollamaModel || model;
-    }
-  } catch (e) {
-    // Use defaults
-  }
-
-  const timeout = 8000;
-
-  const prompt = `You are a TTS summarizer. Convert this AI acknowledgment into a brief spoken phrase (1 short sentence):
-
-"${text.substring(0, 500)}"
-
-Rules:
-- Maximum 15 words
-- Natural conversational tone
-- Focus on what the AI is about to do
-- Remove any technical details
-- Just the action, not details
-
-Brief phrase:`;
+export function acknowledgmentPrompt(text, config, { userQuestion = "", cwd } = {}) {
+  const language = speechLanguage(text, config);
+  return buildPrompt(
+    "acknowledgment",
+    {
+      userQuestion: userQuestion.trim().substring(0, 200),
+      response: text.substring(0, 500),
+      language: LANGUAGE_NAMES[language] || language,
+      maxWords: ACK_MAX_WORDS,
+    },
+    { cwd }
+  );
+}
 
+/**
+ * Summarize long text with the acknowledgment model (see lib/llm-client.mjs)
+ */
+async function summarizeForTTS(text, config, cwd) {
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const res = await fetch(`${ollamaUrl}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model,
-        prompt,
-        stream: false,
-        options: {
-          num_predict: 50,
-          temperature: 0.3,
-          top_p: 0.9,
-        },
-      }),
-      signal: controller.signal,
+    const userQuestion = lastExchange(readTranscript(transcriptPath))?.userQuestion;
+    const prompt = acknowledgmentPrompt(text, config, { userQuestion, cwd });
+
+    let summary = await complete(config, "acknowledgment", {
+      prompt,
+      options: {
+        maxTokens: 50,
+        temperature: 0.3,
+        topP: 0.9,
+      },
     });
 
-    clearTimeout(timeoutId);
-
-    if (!res.ok) {
-      throw new Error(`Ollama returned ${res.status}`);
-    }
-
-    const data = await res.json();
-    let summary = (data.response || "").trim();
-
     // Remove wrapping quotes
     if (
       (summary.startsWith('"') && summary.endsWith('"')) ||
@@ -172,7 +159,7 @@ Brief phrase:`;
 
     return summary || text.substring(0, MAX_SPEAK_LENGTH);
   } catch (error) {
-    log(`LLM summarization failed: ${error.message}, using truncation`);
+    log(`LLM summarization failed: ${error.message}, using truncation`, "warn");
     // Fallback: truncate at sentence boundary
     if (text.length > MAX_SPEAK_LENGTH) {
       const truncated = text.substring(0, MAX_SPEAK_LENGTH);
@@ -209,7 +196,7 @@ function speak(text) {
     });
     return true;
   } catch (error) {
-    log(`Speak failed: ${error.message}`);
+    log(`Speak failed: ${error.message}`, "error");
     return false;
   }
 }
@@ -221,7 +208,7 @@ function startProgressTimer() {
   const timerScript = join(INSTALL_DIR, "lib", "progress-timer.sh");
 
   if (!existsSync(timerScript)) {
-    log(`Progress timer script not found: ${timerScript}`);
+    log(`Progress timer script not found: ${timerScript}`, "warn");
     return;
   }
 
@@ -233,7 +220,7 @@ function startProgressTimer() {
     child.unref();
     log("Progress timer started");
   } catch (error) {
-    log(`Failed to start progress timer: ${error.message}`);
+    log(`Failed to start progress timer: ${error.message}`, "error");
   }
 }
 
@@ -307,14 +294,26 @@ async function main() {
             continue;
           }
 
+          // Resolve config for the project the session runs in
+          const cwd = getTranscriptCwd(transcriptPath);
+          const config = loadConfig({ cwd });
+
+          // Respect quiet hours and snoozes - no need to summarize if muted
+          if (!shouldSpeak(config, "acknowledgment", toSpeak)) {
+            log(`Muted (${getQuietState(config).reason}), skipping acknowledgment`);
+            spoken = true; // Done for this prompt, stop watching
+            break;
+          }
+
           // Summarize if too long
           if (toSpeak.length > MAX_SPEAK_LENGTH) {
             log(`Text too long (${toSpeak.length}), summarizing...`);
-            toSpeak = await summarizeForTTS(toSpeak);
+            const done = logger.time("Acknowledgment summarized", { chars: toSpeak.length });
+            toSpeak = await summarizeForTTS(toSpeak, config, cwd);
+            done();
           }
 
           // Translate if multilingual mode is enabled
-          const config = loadConfig();
           if (
             config.multilingual?.enabled &&
             config.multilingual?.mode === "translate" &&
@@ -324,14 +323,11 @@ async function main() {
               log(`Translating to ${config.multilingual.targetLanguage}...`);
               toSpeak = await translateText(toSpeak, {
                 targetLang: config.multilingual.targetLanguage,
-                ollamaUrl: config.ollamaUrl,
-                ollamaModel: config.translation?.model || "gemma2:9b",
-                timeout: config.translation?.timeout || 10000,
-                fallbackToOriginal:
-                  config.translation?.fallbackToOriginal !== false,
+                config,
+                cwd,
               });
             } catch (error) {
-              configLog(`Translation failed: ${error.message}`);
+              log(`Translation failed: ${error.message}`, "warn");
               // Continue with original text
             }
           }
@@ -365,18 +361,21 @@ async function main() {
   process.exit(0);
 }
 
-// Handle termination signals
-process.on("SIGTERM", () => {
-  log("Received SIGTERM, exiting");
-  process.exit(0);
-});
-
-process.on("SIGINT", () => {
-  log("Received SIGINT, exiting");
-  process.exit(0);
-});
-
-main().catch((error) => {
-  log(`Error: ${error.message}`);
-  process.exit(1);
-});
+// Run as a script; auto-speak prompts imports the prompt builder
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Handle termination signals
+  process.on("SIGTERM", () => {
+    log("Received SIGTERM, exiting");
+    process.exit(0);
+  });
+
+  process.on("SIGINT", () => {
+    log("Received SIGINT, exiting");
+    process.exit(0);
+  });
+
+  main().catch((error) => {
+    log(`Error: ${error.message}`, "error");
+    process.exit(1);
+  });
+}
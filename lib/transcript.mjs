@@ -0,0 +1,123 @@
+/**
+ * Transcript reading - the exchange a summary is about
+ *
+ * Claude Code transcripts are JSONL, one entry per line. User and assistant
+ * entries carry a message whose content is a string or a list of blocks
+ * (text, tool_use, tool_result...).
+ */
+
+import { readFileSync } from "fs";
+
+/**
+ * Read the user and assistant entries of a transcript, in order
+ * Malformed lines are skipped
+ *
+ * @param {string} transcriptPath - Path to transcript JSONL file
+ * @returns {Array<object>} Transcript entries
+ * @throws {Error} If the file cannot be read
+ */
+export function readTranscript(transcriptPath) {
+  const lines = readFileSync(transcriptPath, "utf-8").trim().split("\n");
+
+  const messages = [];
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+      if ((entry.type === "assistant" || entry.type === "user") && entry.message) {
+        messages.push(entry);
+      }
+    } catch (e) {
+      // Skip malformed lines
+    }
+  }
+  return messages;
+}
+
+/**
+ * Text blocks of a message's content, joined with newlines
+ */
+export function messageText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n");
+  }
+  return "";
+}
+
+/**
+ * Whether a user entry is a question the user typed
+ * Tool results, meta entries and system messages (starting with "<", such
+ * as command output) are not
+ */
+export function isUserQuestion(entry) {
+  if (entry.type !== "user" || entry.isMeta) {
+    return false;
+  }
+  const content = entry.message.content;
+  if (Array.isArray(content) && content.some((block) => block.type === "tool_result")) {
+    return false;
+  }
+  const text = messageText(content);
+  return Boolean(text) && !text.startsWith("<") && text.trim().length > 0;
+}
+
+/**
+ * The last assistant reply with text, and the user question before it
+ *
+ * @param {Array<object>} messages - Entries from readTranscript()
+ * @returns {{userQuestion: string, responseText: string, responseTexts: string[],
+ *   firstResponseText: string, turn: Array<object>}|null}
+ *   responseTexts are all assistant texts since the question, oldest first
+ *   (responseText is the last of them), firstResponseText the first (what
+ *   the acknowledgment is made from), turn the entries after the question
+ *   (see lib/turn-facts.mjs); null without an assistant reply
+ */
+export function lastExchange(messages) {
+  let lastAssistantIdx = -1;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].type === "assistant" && messageText(messages[i].message.content).trim()) {
+      lastAssistantIdx = i;
+      break;
+    }
+  }
+
+  if (lastAssistantIdx === -1) {
+    return null;
+  }
+
+  let userQuestion = "";
+  let questionIdx = -1;
+  for (let i = lastAssistantIdx - 1; i >= 0; i--) {
+    if (isUserQuestion(messages[i])) {
+      userQuestion = messageText(messages[i].message.content);
+      questionIdx = i;
+      break;
+    }
+  }
+
+  const responseTexts = messages
+    .slice(questionIdx + 1, lastAssistantIdx + 1)
+    .filter((entry) => entry.type === "assistant")
+    .map((entry) => messageText(entry.message.content))
+    .filter((text) => text.trim());
+
+  return {
+    userQuestion,
+    responseText: responseTexts.at(-1),
+    responseTexts,
+    firstResponseText: responseTexts[0],
+    turn: messages.slice(questionIdx + 1),
+  };
+}
+
+export default {
+  readTranscript,
+  messageText,
+  isUserQuestion,
+  lastExchange,
+};
@@ -1,25 +1,33 @@
 #!/usr/bin/env node
 import { detectLanguage } from './language-voice-mapper.mjs';
+import { createLogger } from './logger.mjs';
+import { complete, llmSettings } from './llm-client.mjs';
+import { buildPrompt } from './prompts.mjs';
+
+const logger = createLogger('translator');
 
 /**
  * Language names for translation prompts
  */
-const LANGUAGE_NAMES = {
+export const LANGUAGE_NAMES = {
   vi: 'Vietnamese',
   zh: 'Chinese',
   en: 'English'
 };
 
 /**
- * Translate text using Ollama
+ * Translate text with the translation model (see lib/llm-client.mjs)
  *
  * @param {string} text - Text to translate
  * @param {object} options - Translation options
  * @param {string} options.targetLang - Target language ISO code ('vi', 'zh')
- * @param {string} options.ollamaUrl - Ollama API URL
- * @param {string} options.ollamaModel - Ollama model to use
- * @param {number} options.timeout - Request timeout in ms
+ * @param {object} options.config - Effective config: LLM provider, model and timeout
+ * @param {string} options.cwd - Session directory, for project prompt templates
+ * @param {string} options.ollamaUrl - Ollama API URL, without config
+ * @param {string} options.ollamaModel - Ollama model to use, without config
+ * @param {number} options.timeout - Request timeout in ms, without config
  * @param {boolean} options.fallbackToOriginal - Return original text on error
+ *   (default: translation.fallbackToOriginal)
  * @returns {Promise<string>} Translated text
  */
 export async function translateText(text, options = {}) {
@@ -27,13 +35,14 @@ export async function translateText(text, options = {}) {
     targetLang,
     ollamaUrl = 'http://localhost:11434',
     ollamaModel = 'gemma2:9b',
-    timeout = 10000,
-    fallbackToOriginal = true
+    timeout = 10000
   } = options;
+  const config = options.config || { ollamaUrl, translation: { model: ollamaModel, timeout } };
+  const fallbackToOriginal = options.fallbackToOriginal ?? config.translation?.fallbackToOriginal !== false;
 
   // Validate target language
   if (!targetLang || !LANGUAGE_NAMES[targetLang]) {
-    console.error(`Unsupported target language: ${targetLang}`);
+    logger.warn(`Unsupported target language: ${targetLang}`);
     return fallbackToOriginal ? text : '';
   }
 
@@ -45,52 +54,26 @@ export async function translateText(text, options = {}) {
   }
 
   try {
-    const targetLanguageName = LANGUAGE_NAMES[targetLang];
-    const prompt = `Translate the following text to ${targetLanguageName}.
-Output ONLY the translation, no explanations or additional text.
-
-Text: "${text}"
-
-Translation:`;
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const response = await fetch(`${ollamaUrl}/api/generate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: ollamaModel,
-        prompt,
-        stream: false,
-        options: {
-          temperature: 0.3,  // Lower temperature for more consistent translations
-          num_predict: 500   // Limit response length
-        }
-      }),
-      signal: controller.signal
+    const prompt = buildPrompt('translation', {
+      response: text,
+      language: LANGUAGE_NAMES[targetLang]
+    }, { cwd: options.cwd });
+
+    const translation = await complete(config, 'translation', {
+      prompt,
+      options: {
+        temperature: 0.3,  // Lower temperature for more consistent translations
+        maxTokens: 500     // Limit response length
+      }
     });
 
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    const translation = data.response?.trim();
-
     if (!translation) {
       throw new Error('Empty translation response');
     }
 
     return translation;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`Translation timeout after ${timeout}ms`);
-    } else {
-      console.error('Translation error:', error.message);
-    }
+    logger.warn(`Translation error: ${error.message}`, { targetLang, model: llmSettings(config, 'translation').model });
 
     // Fallback to original text if enabled
     if (fallbackToOriginal) {
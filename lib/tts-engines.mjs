@@ -0,0 +1,371 @@
+/**
+ * TTS engine registry for Claude Auto-Speak
+ * Built-in engines live in lib/engines/; third-party engines are loaded from
+ * ~/.claude-auto-speak/engines/<name>.mjs, and command engines are defined in
+ * config (commandEngines, see lib/engines/command.mjs). bin/speak and the
+ * CLI get engine names, availability and fallbacks from here; the config
+ * schema gets the names from lib/config-enums.mjs. ttsEngine names one
+ * engine or an ordered chain of engines to try; a setup-free engine is the
+ * last resort after the chain.
+ *
+ * An engine module default-exports an object:
+ *
+ *   {
+ *     name: "my-engine",                 // Must match the file name
+ *     description: "One line for status output",
+ *     capabilities: { speak, synthesize, voices, rate, fallback },
+ *     setup: "How to install it",        // Shown when unavailable
+ *     isAvailable(config)                // -> { available, reason }, or a Promise of it
+ *     listVoices(config)                 // -> Promise<[{ id, language, description }]>, plus
+ *                                        // gender, quality and path where known
+ *     synthesize(text, wavFile, options, config)  // Write a WAV file
+ *     speak(text, options, config)       // Optional: play directly, -> exit code
+ *     cacheKey(options, config)          // Optional: { voice, model } actually used,
+ *                                        // enables the audio cache (lib/audio-cache.mjs)
+ *     persistent: {                      // Optional: keep a process per model in the
+ *                                        // synthesis worker (lib/synthesis-worker.mjs)
+ *       spawn(options, config)           // -> { key, command, args, env }, key per model
+ *       request(text, wavFile, options, config)  // -> JSON line to write to its stdin
+ *       response(line, wavFile)          // Optional: throw if its reply is an error
+ *     }
+ *   }
+ *
+ * options are { voice, rate, language } from the command line and language
+ * detection; engines fall back to their config keys for anything unset.
+ * Engines without speak() are synthesized sentence by sentence and played
+ * as they go (lib/speech-pipeline.mjs). speakWithEngine() and
+ * renderWithEngine() apply the pronunciation lexicon (lib/lexicon.mjs)
+ * first, so engines only ever see the spoken forms. With dryRun set,
+ * speakWithEngine() reports what the engine would have said through the
+ * print engine (lib/engines/print.mjs) instead of running it.
+ */
+
+import { pathToFileURL } from "url";
+import { speakChunked, synthesizeWav } from "./speech-pipeline.mjs";
+import { applyLexicon } from "./lexicon.mjs";
+import { createLogger } from "./logger.mjs";
+import macos from "./engines/macos.mjs";
+import piper from "./engines/piper.mjs";
+import espeakNg from "./engines/espeak-ng.mjs";
+import vieneu from "./engines/vieneu.mjs";
+import http from "./engines/http.mjs";
+import print, { writeUtterance } from "./engines/print.mjs";
+import { createCommandEngine } from "./engines/command.mjs";
+import {
+  ENGINES_DIR,
+  ENGINE_NAME,
+  listUserEngineFiles,
+  declaredCommandEngines,
+  listEngineNames as listConfigEngineNames,
+} from "./config-enums.mjs";
+
+export { ENGINES_DIR };
+
+/**
+ * Config keys holding the voice of each built-in engine
+ */
+export const VOICE_SETTINGS = {
+  voice: "macos",
+  piperVoice: "piper",
+  espeakVoice: "espeak-ng",
+  vieneuVoice: "vieneu",
+};
+
+const logger = createLogger("engines");
+const registry = new Map();
+let userEnginesLoaded = false;
+// Command engine definitions the registered engines were built from, by name
+const commandEngines = new Map();
+
+/**
+ * Register an engine
+ * Throws if the engine object does not implement the interface
+ */
+export function registerEngine(engine) {
+  if (!engine || typeof engine !== "object") {
+    throw new Error("Engine must be an object");
+  }
+  if (typeof engine.name !== "string" || !ENGINE_NAME.test(engine.name)) {
+    throw new Error(`Invalid engine name: ${JSON.stringify(engine.name)}`);
+  }
+  if (typeof engine.isAvailable !== "function") {
+    throw new Error(`Engine ${engine.name} must implement isAvailable(config)`);
+  }
+  if (typeof engine.synthesize !== "function" && typeof engine.speak !== "function") {
+    throw new Error(`Engine ${engine.name} must implement synthesize() or speak()`);
+  }
+  if (engine.persistent && (typeof engine.persistent.spawn !== "function" || typeof engine.persistent.request !== "function")) {
+    throw new Error(`Engine ${engine.name} persistent spec must implement spawn() and request()`);
+  }
+
+  registry.set(engine.name, {
+    description: "",
+    setup: "",
+    listVoices: async () => [],
+    ...engine,
+    capabilities: {
+      speak: typeof engine.speak === "function",
+      synthesize: typeof engine.synthesize === "function",
+      voices: typeof engine.listVoices === "function",
+      rate: false,
+      fallback: false,
+      ...engine.capabilities,
+    },
+  });
+}
+
+for (const engine of [macos, piper, espeakNg, vieneu, http, print]) {
+  registerEngine(engine);
+}
+
+/**
+ * Load third-party engines from ENGINES_DIR (once)
+ * Broken engines are logged and skipped; they never shadow a built-in
+ */
+export async function loadUserEngines() {
+  if (userEnginesLoaded) {
+    return;
+  }
+  userEnginesLoaded = true;
+
+  for (const [name, file] of Object.entries(listUserEngineFiles())) {
+    if (registry.has(name)) {
+      logger.warn(`Ignoring ${file}: an engine named ${name} already exists`);
+      continue;
+    }
+    try {
+      const module = await import(pathToFileURL(file).href);
+      const engine = module.default || module.engine;
+      if (engine?.name !== name) {
+        throw new Error(`engine name ${JSON.stringify(engine?.name)} does not match file name`);
+      }
+      registerEngine(engine);
+    } catch (err) {
+      logger.warn(`Failed to load engine ${file}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Build the command engines declared in config (lib/config-enums.mjs)
+ * Definitions that changed since the last call are rebuilt. Names taken by
+ * other engines are logged and skipped.
+ */
+function registerCommandEngines() {
+  for (const [name, definition] of declaredCommandEngines()) {
+    if (commandEngines.get(name) === definition) {
+      continue;
+    }
+    if (registry.has(name) && !commandEngines.has(name)) {
+      logger.warn(`Ignoring commandEngines.${name}: an engine named ${name} already exists`);
+      continue;
+    }
+    try {
+      registerEngine(createCommandEngine(name, definition));
+      commandEngines.set(name, definition);
+    } catch (err) {
+      logger.warn(`Ignoring commandEngines.${name}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Names of all known engines: built-in, third-party and command engines
+ * Synchronous (third-party names come from file names)
+ */
+export function listEngineNames() {
+  return [...new Set([...registry.keys(), ...listConfigEngineNames()])];
+}
+
+/**
+ * Get an engine by name (loads third-party engines first)
+ *
+ * @returns {Promise<object|null>}
+ */
+export async function getEngine(name) {
+  await loadUserEngines();
+  registerCommandEngines();
+  return registry.get(name) || null;
+}
+
+/**
+ * Get all registered engines
+ *
+ * @returns {Promise<Array<object>>}
+ */
+export async function listEngines() {
+  await loadUserEngines();
+  registerCommandEngines();
+  return [...registry.values()];
+}
+
+/**
+ * Check whether an engine can run with this config
+ * Never throws - a crashing check counts as unavailable
+ *
+ * @returns {Promise<{available: boolean, reason?: string}>}
+ */
+export async function checkEngine(engine, config) {
+  try {
+    return (await engine.isAvailable(config)) || { available: false, reason: "availability unknown" };
+  } catch (err) {
+    return { available: false, reason: err.message };
+  }
+}
+
+/**
+ * Engine names from ttsEngine, in the order to try them
+ * ttsEngine is one engine name or an ordered list of names
+ *
+ * @param {object} config - Effective config
+ * @returns {Array<string>}
+ */
+export function configuredEngineNames(config) {
+  const names = [].concat(config.ttsEngine ?? []);
+  return names.length > 0 ? names : ["macos"];
+}
+
+/**
+ * Look up a chain of engines and check each one's availability up front,
+ * so callers can skip straight to the first engine that can run
+ *
+ * @param {Array<string>} names - Engine names, in order
+ * @param {object} config - Effective config
+ * @param {string} capability - Capability every engine needs (e.g. "synthesize")
+ * @returns {Promise<Array<{name: string, engine: object|null, available: boolean, reason?: string}>>}
+ */
+export async function resolveEngineChain(names, config, capability = null) {
+  const chain = [];
+  for (const name of names) {
+    const engine = await getEngine(name);
+    if (!engine) {
+      chain.push({ name, engine: null, available: false, reason: `unknown engine ${name}` });
+    } else if (capability && !engine.capabilities[capability]) {
+      chain.push({ name, engine, available: false, reason: `${name} does not support ${capability}` });
+    } else {
+      chain.push({ name, engine, ...(await checkEngine(engine, config)) });
+    }
+  }
+  return chain;
+}
+
+/**
+ * The engine that speaks when nothing fails: the first available engine
+ * in ttsEngine
+ *
+ * @param {object} config - Effective config
+ * @param {string} capability - Capability the engine needs
+ * @returns {Promise<object|null>}
+ */
+export async function getActiveEngine(config, capability = null) {
+  const chain = await resolveEngineChain(configuredEngineNames(config), config, capability);
+  return chain.find((entry) => entry.available)?.engine || null;
+}
+
+/**
+ * Pick an engine to fall back to when a whole chain fails
+ * The first available engine, other than the ones already tried, that
+ * needs no setup (capabilities.fallback), e.g. macOS say or eSpeak-NG
+ *
+ * @param {string|Array<string>} tried - Engine(s) that failed
+ * @param {object} config - Effective config
+ * @param {string} capability - Capability the fallback needs (e.g. "synthesize")
+ * @returns {Promise<object|null>}
+ */
+export async function getFallbackEngine(tried, config, capability = null) {
+  const skip = [].concat(tried);
+  for (const engine of await listEngines()) {
+    if (
+      !skip.includes(engine.name) &&
+      engine.capabilities.fallback &&
+      (!capability || engine.capabilities[capability]) &&
+      (await checkEngine(engine, config)).available
+    ) {
+      return engine;
+    }
+  }
+  return null;
+}
+
+/**
+ * The voice an engine would speak with: from the command line, the
+ * engine's cache identity, or its config key
+ *
+ * @returns {Promise<string|null>}
+ */
+async function resolveVoiceName(engine, options, config) {
+  if (options.voice) {
+    return options.voice;
+  }
+  try {
+    const identity = await engine.cacheKey?.(options, config);
+    if (identity?.voice) {
+      return identity.voice;
+    }
+  } catch (err) {
+    // No voice configured; the engine would report it when speaking
+  }
+  const key = Object.keys(VOICE_SETTINGS).find((setting) => VOICE_SETTINGS[setting] === engine.name);
+  return key ? config[key] : null;
+}
+
+/**
+ * Speak text with an engine
+ * Uses the engine's speak() when it has one; otherwise synthesizes sentence
+ * by sentence while playing (see lib/speech-pipeline.mjs)
+ *
+ * @param {object} engine - Registered engine
+ * @param {string} text - Text to speak
+ * @param {object} options - { voice, rate, language }
+ * @param {object} config - Effective config
+ * @returns {Promise<number>} Exit code (0 = spoken)
+ */
+export async function speakWithEngine(engine, text, options, config) {
+  const spoken = applyLexicon(text, config, { engine: engine.name, language: options.language });
+  if (config.dryRun && engine.name !== "print") {
+    const voice = await resolveVoiceName(engine, options, config);
+    writeUtterance(spoken, { ...options, engine: engine.name, voice, dryRun: true }, config);
+    return 0;
+  }
+  if (engine.capabilities.speak) {
+    return engine.speak(spoken, options, config);
+  }
+  return speakChunked(engine, spoken, options, config);
+}
+
+/**
+ * Render text to WAV audio without playing it
+ * The result is normalized to WAV_FORMAT (see lib/wav.mjs) whichever engine
+ * produced it, and comes from the audio cache when possible
+ *
+ * @param {object} engine - Registered engine (needs synthesize())
+ * @param {string} text - Text to render
+ * @param {object} options - { voice, rate, language }
+ * @param {object} config - Effective config
+ * @returns {Promise<Buffer>} WAV file contents
+ */
+export async function renderWithEngine(engine, text, options, config) {
+  if (!engine.capabilities.synthesize) {
+    throw new Error(`${engine.name} can only play audio, it cannot render to a file`);
+  }
+
+  const spoken = applyLexicon(text, config, { engine: engine.name, language: options.language });
+  return synthesizeWav(engine, spoken, options, config);
+}
+
+export default {
+  ENGINES_DIR,
+  VOICE_SETTINGS,
+  registerEngine,
+  loadUserEngines,
+  listEngineNames,
+  getEngine,
+  listEngines,
+  checkEngine,
+  configuredEngineNames,
+  resolveEngineChain,
+  getActiveEngine,
+  getFallbackEngine,
+  speakWithEngine,
+  renderWithEngine,
+};
@@ -26,16 +26,25 @@ TTS_SESSION_ID_SAFE=$(echo "$TTS_SESSION_ID" | tr -cd 'a-zA-Z0-9_-')
 
 # Session-specific PID file (prevents cross-session overwrites)
 TTS_PID_FILE="${INSTALL_DIR}/tts-${TTS_SESSION_ID_SAFE}.pid"
-TTS_LOG_FILE="${INSTALL_DIR}/tts-manager.log"
 VOICE_LOCK_DIR="${INSTALL_DIR}/locks"
 VOICE_LOCK_FILE="${VOICE_LOCK_DIR}/voice.lock"
 
+# Source structured logging
+source "${INSTALL_DIR}/lib/log.sh" 2>/dev/null || true
+
+# Source config access (effective config incl. project overrides)
+source "${INSTALL_DIR}/lib/config.sh" 2>/dev/null || true
+
 # Ensure lock directory exists
 mkdir -p "$VOICE_LOCK_DIR" 2>/dev/null || true
 
-# Log to TTS manager log
+# Log a TTS manager event: tts_log [--warn|--error] <message> [key=value...]
 tts_log() {
-  echo "[$(date '+%Y-%m-%d %H:%M:%S')] [tts-mgr:${TTS_SESSION_ID_SAFE:0:20}] $*" >> "$TTS_LOG_FILE"
+  local level="info"
+  case "${1:-}" in
+    --debug|--warn|--error) level="${1#--}"; shift ;;
+  esac
+  log_event "$level" "tts-manager" "$@" terminal="${TTS_SESSION_ID_SAFE:0:20}"
 }
 
 # Check if voice lock is held by another session
@@ -93,7 +102,7 @@ wait_for_voice_lock() {
     fi
   done
 
-  tts_log "Timeout waiting for voice lock after ${timeout_seconds}s"
+  tts_log --warn "Timeout waiting for voice lock after ${timeout_seconds}s"
   return 1
 }
 
@@ -130,6 +139,9 @@ cancel_existing_tts() {
     if [[ -n "$pid" ]]; then
       if kill -0 "$pid" 2>/dev/null; then
         tts_log "Killing tracked TTS PID: $pid"
+        # The tracked PID is the speak_exclusive subshell: signal its
+        # children first, so speak stops its synthesis and playback too
+        pkill -TERM -P "$pid" 2>/dev/null || true
         kill "$pid" 2>/dev/null || true
         # Wait briefly for process to die
         local waited=0
@@ -211,7 +223,8 @@ cancel_all_tts() {
 # This function:
 # 1. Waits for the global voice lock if another session is speaking
 # 2. Cancels any TTS from THIS session (not others)
-# 3. Speaks the new text
+# 3. Speaks the new text, recording it and the engine that spoke it in
+#    speech history
 speak_exclusive() {
   local text="${1:-}"
 
@@ -221,7 +234,7 @@ speak_exclusive() {
   fi
 
   if [[ -z "$text" ]]; then
-    tts_log "No text provided, skipping"
+    tts_log --warn "No text provided, skipping"
     return 0
   fi
 
@@ -232,7 +245,7 @@ speak_exclusive() {
   if ! check_voice_lock; then
     tts_log "Another session is speaking, waiting..."
     if ! wait_for_voice_lock 15; then
-      tts_log "Timeout waiting for other session, skipping TTS"
+      tts_log --warn "Timeout waiting for other session, skipping TTS"
       return 1
     fi
   fi
@@ -246,11 +259,12 @@ speak_exclusive() {
   # Speak and track PID
   local speak_cmd="${INSTALL_DIR}/bin/speak"
   if [[ -f "$speak_cmd" ]]; then
-    (echo "$text" | node "$speak_cmd"; release_voice_lock) &
+    (echo "$text" | node "$speak_cmd" --history; release_voice_lock) &
   else
     # Fallback to say command
-    local voice=$(jq -r '.voice // "Samantha"' "${INSTALL_DIR}/config.json" 2>/dev/null || echo "Samantha")
-    local rate=$(jq -r '.rate // 175' "${INSTALL_DIR}/config.json" 2>/dev/null || echo "175")
+    local voice=$(get_config "voice" "Samantha")
+    local rate=$(get_config "rate" "175")
+    echo "$text" | node "${INSTALL_DIR}/lib/log-speech.mjs" --engine macos 2>/dev/null || true
     (say -v "$voice" -r "$rate" "$text"; release_voice_lock) &
   fi
   local tts_pid=$!
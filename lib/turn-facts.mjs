@@ -0,0 +1,259 @@
+/**
+ * Turn facts - what the tools did during a turn
+ *
+ * Claude's closing text often leaves out what actually happened. The
+ * transcript records it: tool_use blocks in assistant entries (Edit, Write,
+ * Bash...) and tool_result blocks in the user entries that follow, matched
+ * by tool_use_id. From those this module collects:
+ *
+ *   - files edited and created
+ *   - commands run, with their exit status
+ *   - the last test run: passed and failed counts when the output has them
+ *   - errors from other tools
+ *
+ * formatFactsForPrompt() gives the summary model a short list
+ * ({{facts}}, see lib/prompts.mjs); describeFacts() gives the regex fallback
+ * a spoken sentence ("Edited 4 files. 2 of 48 tests failed.").
+ */
+
+import { basename } from "path";
+
+const EDIT_TOOLS = new Set(["Edit", "MultiEdit", "NotebookEdit"]);
+const COMMAND_TOOLS = new Set(["Bash"]);
+
+// Test runners, as commands are usually typed
+const TEST_COMMAND =
+  /\b(?:npm|pnpm|yarn|bun)\s+(?:run\s+)?test\b|\b(?:go|cargo|dotnet|deno|mix)\s+test\b|\bnode\s+--test\b|\bmake\s+(?:test|check)\b|\bpython3?\s+-m\s+(?:pytest|unittest)\b|\b(?:pytest|jest|vitest|mocha|rspec|phpunit|ctest|tox)\b/;
+
+// Commands listed individually in the prompt
+const MAX_LISTED_COMMANDS = 5;
+
+/**
+ * Text of a tool_result's content (a string or text blocks)
+ */
+function resultText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n");
+  }
+  return "";
+}
+
+/**
+ * Exit status of a command from its tool_result
+ * Failed commands are reported as errors starting with "Exit code N"
+ */
+function exitCode(result) {
+  if (!result?.is_error) {
+    return 0;
+  }
+  const match = resultText(result.content).match(/Exit code (\d+)/);
+  return match ? Number(match[1]) : 1;
+}
+
+/**
+ * Passed and failed counts from test runner output, when it prints them
+ * The last summary line wins (jest and vitest print suites, then tests)
+ *
+ * @returns {{passed: number|null, failed: number|null}}
+ */
+export function parseTestCounts(output) {
+  const last = (pattern) => {
+    const matches = [...output.matchAll(pattern)];
+    return matches.length > 0 ? Number(matches.at(-1)[1]) : null;
+  };
+  return {
+    passed: last(/(\d+)\s+(?:passed|passing)\b/gi) ?? last(/^#\s*pass\s+(\d+)/gim),
+    failed: last(/(\d+)\s+(?:failed|failing)\b/gi) ?? last(/^#\s*fail\s+(\d+)/gim),
+  };
+}
+
+/**
+ * Collect the facts of a turn
+ *
+ * @param {Array<object>} entries - Transcript entries of the turn (after the user's question)
+ * @returns {{edited: string[], created: string[], commands: Array<{command: string, exitCode: number}>,
+ *   tests: {command: string, passed: number|null, failed: number|null, ok: boolean}|null,
+ *   errors: Array<{tool: string, message: string}>}}
+ */
+export function collectTurnFacts(entries) {
+  // Results by tool_use_id, with the structured result Claude Code records
+  const results = new Map();
+  for (const entry of entries) {
+    if (entry.type !== "user" || !Array.isArray(entry.message?.content)) {
+      continue;
+    }
+    for (const block of entry.message.content) {
+      if (block.type === "tool_result") {
+        results.set(block.tool_use_id, { ...block, toolUseResult: entry.toolUseResult });
+      }
+    }
+  }
+
+  const edited = new Set();
+  const created = new Set();
+  const commands = [];
+  const errors = [];
+  let tests = null;
+
+  for (const entry of entries) {
+    if (entry.type !== "assistant" || !Array.isArray(entry.message?.content)) {
+      continue;
+    }
+    for (const block of entry.message.content) {
+      if (block.type !== "tool_use") {
+        continue;
+      }
+      const result = results.get(block.id);
+      const input = block.input || {};
+      const path = input.file_path || input.notebook_path;
+
+      if (COMMAND_TOOLS.has(block.name) && input.command) {
+        // Still running or interrupted: no result to report
+        if (!result) {
+          continue;
+        }
+        const command = { command: input.command, exitCode: exitCode(result) };
+        commands.push(command);
+        if (TEST_COMMAND.test(input.command)) {
+          const output = [resultText(result.content), result.toolUseResult?.stdout, result.toolUseResult?.stderr]
+            .filter((text) => typeof text === "string")
+            .join("\n");
+          const counts = parseTestCounts(output);
+          tests = { command: input.command, ...counts, ok: command.exitCode === 0 && !counts.failed };
+        }
+      } else if (result?.is_error) {
+        const message = resultText(result.content).replace(/<\/?[\w_]+>/g, "").trim().split("\n")[0];
+        errors.push({ tool: block.name, message: message.slice(0, 120) });
+      } else if (result && path && block.name === "Write") {
+        // A Write over an existing file is an edit
+        if (result.toolUseResult?.type === "update" || edited.has(path)) {
+          edited.add(path);
+        } else {
+          created.add(path);
+        }
+      } else if (result && path && EDIT_TOOLS.has(block.name) && !created.has(path)) {
+        edited.add(path);
+      }
+    }
+  }
+
+  return { edited: [...edited], created: [...created], commands, tests, errors };
+}
+
+/**
+ * Whether a turn did anything worth mentioning
+ */
+export function hasFacts(facts) {
+  return Boolean(
+    facts && (facts.edited.length || facts.created.length || facts.commands.length || facts.errors.length)
+  );
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/**
+ * Test outcome as a phrase: "2 of 48 tests failed", "all 12 tests passed"
+ */
+function testOutcome({ passed, failed, ok }) {
+  if (failed) {
+    return passed !== null ? `${failed} of ${failed + passed} tests failed` : `${plural(failed, "test")} failed`;
+  }
+  if (ok) {
+    return passed ? `all ${plural(passed, "test")} passed` : "the tests passed";
+  }
+  return "the tests failed";
+}
+
+/**
+ * Facts as a list for the summary prompt ({{facts}})
+ *
+ * @param {object} facts - From collectTurnFacts()
+ * @returns {string} "Tool activity this turn:" and one line per fact, or "" if none
+ */
+export function formatFactsForPrompt(facts) {
+  if (!hasFacts(facts)) {
+    return "";
+  }
+
+  const names = (paths) => paths.map((path) => basename(path)).join(", ");
+  const lines = [];
+  if (facts.edited.length > 0) {
+    lines.push(`- Edited ${plural(facts.edited.length, "file")}: ${names(facts.edited)}`);
+  }
+  if (facts.created.length > 0) {
+    lines.push(`- Created ${plural(facts.created.length, "file")}: ${names(facts.created)}`);
+  }
+  if (facts.commands.length > 0) {
+    const failed = facts.commands.filter((command) => command.exitCode !== 0);
+    // Failures first: they matter most when the list is cut short
+    const listed = [...failed, ...facts.commands.filter((command) => command.exitCode === 0)]
+      .slice(0, MAX_LISTED_COMMANDS)
+      .map(({ command, exitCode }) => `${command.split("\n")[0].slice(0, 80)} (exit ${exitCode})`);
+    const summary = failed.length > 0 ? `, ${failed.length} failed` : "";
+    lines.push(`- Ran ${plural(facts.commands.length, "command")}${summary}: ${listed.join("; ")}`);
+  }
+  if (facts.tests) {
+    const counts = [
+      facts.tests.passed !== null && `${facts.tests.passed} passed`,
+      facts.tests.failed !== null && `${facts.tests.failed} failed`,
+    ].filter(Boolean);
+    lines.push(`- Tests: ${testOutcome(facts.tests)}${counts.length > 0 ? ` (${counts.join(", ")})` : ""}`);
+  }
+  for (const { tool, message } of facts.errors) {
+    lines.push(`- Error from ${tool}: ${message}`);
+  }
+
+  return ["Tool activity this turn:", ...lines].join("\n");
+}
+
+/**
+ * Facts as a spoken English sentence for the regex fallback
+ *
+ * @param {object} facts - From collectTurnFacts()
+ * @returns {string} e.g. "Edited 4 files and created 1. 2 of 48 tests failed.", or ""
+ */
+export function describeFacts(facts) {
+  if (!hasFacts(facts)) {
+    return "";
+  }
+
+  const sentences = [];
+  const { edited, created } = facts;
+  if (edited.length > 0 && created.length > 0) {
+    sentences.push(`Edited ${plural(edited.length, "file")} and created ${created.length}`);
+  } else if (edited.length > 0) {
+    sentences.push(`Edited ${plural(edited.length, "file")}`);
+  } else if (created.length > 0) {
+    sentences.push(`Created ${plural(created.length, "file")}`);
+  }
+
+  if (facts.tests) {
+    const outcome = testOutcome(facts.tests);
+    sentences.push(outcome[0].toUpperCase() + outcome.slice(1));
+  }
+
+  // Test runs report through the test outcome
+  const failed = facts.commands.filter(({ command, exitCode }) => exitCode !== 0 && !TEST_COMMAND.test(command));
+  if (failed.length > 0) {
+    sentences.push(`${plural(failed.length, "command")} failed`);
+  }
+  if (facts.errors.length > 0) {
+    sentences.push(facts.errors.length === 1 ? "There was 1 error" : `There were ${facts.errors.length} errors`);
+  }
+
+  return sentences.map((sentence) => `${sentence}.`).join(" ");
+}
+
+export default {
+  parseTestCounts,
+  collectTurnFacts,
+  hasFacts,
+  formatFactsForPrompt,
+  describeFacts,
+};
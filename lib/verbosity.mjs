@@ -0,0 +1,58 @@
+/**
+ * Summary verbosity - how much the final summary says
+ *
+ *   terse     One line: the outcome only ("Done, tests pass")
+ *   brief     The main point in a sentence or two (default)
+ *   detailed  A spoken recap of what changed, the outcome and what's next
+ *
+ * Each level sets the word budget the summary prompts ask for ({{maxWords}}
+ * and {{detail}}, see lib/prompts.mjs), the LLM token limit, how much of
+ * the response the output filter keeps, and where the regex fallback cuts
+ * off. Set with "verbosity" in config (auto-speak verbosity <level>).
+ */
+
+import { VERBOSITY_NAMES } from "./config-enums.mjs";
+
+export { VERBOSITY_NAMES };
+
+export const VERBOSITY_LEVELS = {
+  terse: {
+    detail: "one short sentence, the outcome only",
+    maxWords: 8,
+    maxTokens: 40,
+    filterMaxLength: 600,
+    fallbackLength: 100,
+  },
+  brief: {
+    detail: "brief",
+    maxWords: 20,
+    maxTokens: 150,
+    filterMaxLength: 1000,
+    fallbackLength: 200,
+  },
+  detailed: {
+    detail: "a full recap of what changed, the outcome and what's next",
+    maxWords: 60,
+    maxTokens: 400,
+    filterMaxLength: 3000,
+    fallbackLength: 600,
+  },
+};
+
+/**
+ * Settings for the configured verbosity (brief if unset or unknown)
+ *
+ * @param {object} config - Effective config
+ * @returns {{level: string, detail: string, maxWords: number, maxTokens: number,
+ *   filterMaxLength: number, fallbackLength: number}}
+ */
+export function verbositySettings(config) {
+  const level = VERBOSITY_LEVELS[config?.verbosity] ? config.verbosity : "brief";
+  return { level, ...VERBOSITY_LEVELS[level] };
+}
+
+export default {
+  VERBOSITY_LEVELS,
+  VERBOSITY_NAMES,
+  verbositySettings,
+};
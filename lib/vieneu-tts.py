@@ -6,24 +6,145 @@ Performs text-to-speech using cloned Vietnamese voices
 Usage:
   python vieneu-tts.py --text "Xin chào" --voice my_voice --output /tmp/output.wav
   echo "Xin chào" | python vieneu-tts.py --voice my_voice --output /tmp/output.wav
+  python vieneu-tts.py --serve
+
+--serve keeps models loaded for the synthesis worker (lib/synthesis-worker.mjs):
+it reads one JSON request per line on stdin, {"text", "voice", "output", "model"},
+and answers each with {"ok": true} or {"ok": false, "error": "..."} on stdout.
 """
 
 import sys
 import argparse
+import json
 import os
+import unicodedata
 from pathlib import Path
 import numpy as np
 
+# Preset voices shipped with the model
+PRESET_VOICES = ['Binh', 'Tuyen', 'Vinh', 'Doan', 'Ly', 'Ngoc']
+
+# Model variant to Hugging Face repo
+BACKBONES = {
+    '0.3b': 'pnnbao-ump/VieNeu-TTS-0.3B-q4-gguf',
+    '0.5b': 'pnnbao-ump/VieNeu-TTS-0.5B-q4-gguf'
+}
+
+VOICES_DIR = Path.home() / ".claude-auto-speak/vieneu/voices"
+# Pre-cloned voices shipped with claude-auto-speak (voices/vieneu)
+BUNDLED_VOICES_DIR = Path(__file__).resolve().parent.parent / "voices/vieneu"
+
+
+class VoiceNotFoundError(Exception):
+    pass
+
+
+def load_model(variant):
+    """Load the backbone for a model variant ("0.3b" or "vieneu-0.3b")"""
+    # Import VieNeu (lazy import to fail fast if not installed)
+    from vieneu import VieNeuTTS
+
+    model_variant = variant.replace('vieneu-', '')
+    return VieNeuTTS(backbone_repo=BACKBONES.get(model_variant, BACKBONES['0.3b']))
+
+
+def find_voice_file(voice):
+    """Find a cloned voice, then a bundled one; names compare in NFC form"""
+    name = unicodedata.normalize('NFC', voice)
+    for voices_dir in (VOICES_DIR, BUNDLED_VOICES_DIR):
+        if not voices_dir.exists():
+            continue
+        for path in voices_dir.glob("*.npy"):
+            if unicodedata.normalize('NFC', path.stem) == name:
+                return path
+    return None
+
+
+def synthesize(model, text, voice, output):
+    """Synthesize text with a preset or cloned voice and write a WAV file"""
+    import soundfile as sf
+
+    if voice in PRESET_VOICES:
+        # Use preset voice
+        audio = model.infer(
+            text=text,
+            voice=model.get_preset_voice(voice)
+        )
+    else:
+        # Try to load pre-encoded cloned or bundled voice
+        ref_codes_file = find_voice_file(voice)
+        if ref_codes_file is None:
+            raise VoiceNotFoundError(f"Voice not found: {voice}")
+
+        # Load pre-encoded voice embedding
+        ref_codes = np.load(str(ref_codes_file))
+
+        # Synthesize speech using infer method
+        audio = model.infer(
+            text=text,
+            ref_codes=ref_codes,
+            ref_text=""  # Empty ref_text works for voice cloning
+        )
+
+    sf.write(output, audio, model.sample_rate)
+
+
+def print_available_voices():
+    print(f"Available preset voices: {', '.join(PRESET_VOICES)}", file=sys.stderr)
+    for label, voices_dir in (("cloned", VOICES_DIR), ("bundled", BUNDLED_VOICES_DIR)):
+        print(f"Available {label} voices:", file=sys.stderr)
+        voices = sorted(voices_dir.glob("*.npy")) if voices_dir.exists() else []
+        for v in voices:
+            print(f"  - {v.stem}", file=sys.stderr)
+        if not voices:
+            print("  (none)", file=sys.stderr)
+
+
+def serve():
+    """Answer JSON requests from stdin until it closes, keeping models loaded"""
+    # Responses get their own copy of stdout; anything the libraries print
+    # (including native code) goes to stderr instead of the protocol
+    protocol = os.fdopen(os.dup(1), 'w')
+    os.dup2(2, 1)
+
+    models = {}
+    for line in sys.stdin:
+        if not line.strip():
+            continue
+        try:
+            request = json.loads(line)
+            variant = (request.get('model') or '0.3b').replace('vieneu-', '')
+            if variant not in models:
+                models[variant] = load_model(variant)
+            synthesize(models[variant], request['text'], request['voice'], request['output'])
+            result = {'ok': True}
+        except ImportError:
+            result = {'ok': False, 'error': 'VieNeu-TTS not installed. Run: ./setup/vieneu-setup.sh'}
+        except Exception as e:
+            result = {'ok': False, 'error': str(e)}
+        protocol.write(json.dumps(result) + '\n')
+        protocol.flush()
+
+
 def main():
     parser = argparse.ArgumentParser(description='VieNeu-TTS wrapper for claude-auto-speak')
     parser.add_argument('--text', type=str, help='Text to synthesize')
-    parser.add_argument('--voice', type=str, required=True, help='Voice name (from cloned voices)')
-    parser.add_argument('--output', type=str, required=True, help='Output WAV file path')
+    parser.add_argument('--voice', type=str, help='Voice name (from cloned voices)')
+    parser.add_argument('--output', type=str, help='Output WAV file path')
     parser.add_argument('--model', type=str, default='0.3b',
                         help='Model variant (0.3b or 0.5b)')
+    parser.add_argument('--serve', action='store_true',
+                        help='Answer JSON requests on stdin, keeping models loaded')
 
     args = parser.parse_args()
 
+    if args.serve:
+        serve()
+        return
+
+    if not args.voice or not args.output:
+        parser.error('--voice and --output are required')
+
     # Get text from argument or stdin
     text = args.text
     if not text:
@@ -40,62 +161,15 @@ def main():
         sys.exit(1)
 
     try:
-        # Import VieNeu (lazy import to fail fast if not installed)
-        from vieneu import VieNeuTTS
-        import soundfile as sf
-
-        # Initialize model with appropriate backbone
-        # Map model variant to Hugging Face repo (handle both "0.3b" and "vieneu-0.3b" formats)
-        model_variant = args.model.replace('vieneu-', '')
-        backbone_map = {
-            '0.3b': 'pnnbao-ump/VieNeu-TTS-0.3B-q4-gguf',
-            '0.5b': 'pnnbao-ump/VieNeu-TTS-0.5B-q4-gguf'
-        }
-        backbone_repo = backbone_map.get(model_variant, backbone_map['0.3b'])
-
-        model = VieNeuTTS(backbone_repo=backbone_repo)
-
-        # Check if voice is a preset voice (Binh, Tuyen, Vinh, Doan, Ly, Ngoc)
-        preset_voices = ['Binh', 'Tuyen', 'Vinh', 'Doan', 'Ly', 'Ngoc']
-
-        if args.voice in preset_voices:
-            # Use preset voice
-            audio = model.infer(
-                text=text,
-                voice=model.get_preset_voice(args.voice)
-            )
-        else:
-            # Try to load pre-encoded cloned voice
-            vieneu_dir = Path.home() / ".claude-auto-speak/vieneu"
-            voices_dir = vieneu_dir / "voices"
-            ref_codes_file = voices_dir / f"{args.voice}.npy"
-
-            if not ref_codes_file.exists():
-                print(f"Error: Voice not found: {args.voice}", file=sys.stderr)
-                print(f"Available preset voices: {', '.join(preset_voices)}", file=sys.stderr)
-                print(f"Available cloned voices:", file=sys.stderr)
-                if voices_dir.exists():
-                    for v in voices_dir.glob("*.npy"):
-                        print(f"  - {v.stem}", file=sys.stderr)
-                else:
-                    print("  (none)", file=sys.stderr)
-                sys.exit(1)
-
-            # Load pre-encoded voice embedding
-            ref_codes = np.load(str(ref_codes_file))
-
-            # Synthesize speech using infer method
-            audio = model.infer(
-                text=text,
-                ref_codes=ref_codes,
-                ref_text=""  # Empty ref_text works for voice cloning
-            )
-
-        # Save to output file
-        sf.write(args.output, audio, model.sample_rate)
+        model = load_model(args.model)
+        synthesize(model, text, args.voice, args.output)
 
         print(f"✓ Generated: {args.output}", file=sys.stderr)
 
+    except VoiceNotFoundError as e:
+        print(f"Error: {e}", file=sys.stderr)
+        print_available_voices()
+        sys.exit(1)
     except ImportError as e:
         print(f"Error: VieNeu-TTS not installed", file=sys.stderr)
         print(f"Run: ./setup/vieneu-setup.sh", file=sys.stderr)
@@ -0,0 +1,249 @@
+/**
+ * Voice inventory - the voices of every engine in one list
+ *
+ * Each engine lists its own voices (listVoices in lib/tts-engines.mjs);
+ * this module merges them into entries of
+ * { name, engine, language, gender, quality, description, path },
+ * filters them by engine and language, and checks voice settings against
+ * them. Used by `speak --list-voices`, `auto-speak voices` and
+ * `auto-speak config` when a voice key is set.
+ */
+
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { listEngines, getEngine, checkEngine, VOICE_SETTINGS } from "./tts-engines.mjs";
+
+// multilingual.voiceByLanguage holds Piper voice names per language
+const VOICE_BY_LANGUAGE = "multilingual.voiceByLanguage";
+
+/**
+ * Normalize a language tag for comparison: "en_US" -> "en-us"
+ */
+function normalizeLanguage(language) {
+  return String(language).replace(/_/g, "-").toLowerCase();
+}
+
+/**
+ * Whether a voice language matches a filter
+ * "en" matches en, en-US and en-GB; "en-us" matches only en-US
+ */
+export function matchesLanguage(voiceLanguage, filter) {
+  if (!voiceLanguage) {
+    return false;
+  }
+  const language = normalizeLanguage(voiceLanguage);
+  const wanted = normalizeLanguage(filter);
+  return language === wanted || language.startsWith(`${wanted}-`);
+}
+
+/**
+ * List voices across engines
+ * An engine that cannot list its voices (not installed, command failed)
+ * is reported in errors instead of failing the whole inventory
+ *
+ * @param {object} config - Effective config
+ * @param {object} filters - { engine, language }; engine may be a comma list
+ * @returns {Promise<{voices: Array<object>, errors: Array<{engine: string, message: string}>}>}
+ */
+export async function listVoiceInventory(config, filters = {}) {
+  const wanted = filters.engine ? filters.engine.split(",").map((name) => name.trim()) : null;
+  const engines = (await listEngines()).filter(
+    (engine) => engine.capabilities.voices && (!wanted || wanted.includes(engine.name))
+  );
+
+  const voices = [];
+  const errors = [];
+  for (const engine of engines) {
+    try {
+      for (const voice of await engine.listVoices(config)) {
+        voices.push({
+          name: voice.id,
+          engine: engine.name,
+          language: voice.language || null,
+          gender: voice.gender || null,
+          quality: voice.quality || null,
+          description: voice.description || "",
+          path: voice.path || null,
+        });
+      }
+    } catch (err) {
+      const { available, reason } = await checkEngine(engine, config);
+      errors.push({ engine: engine.name, message: available ? err.message : reason });
+    }
+  }
+
+  return {
+    voices: filters.language ? voices.filter((voice) => matchesLanguage(voice.language, filters.language)) : voices,
+    errors,
+  };
+}
+
+/**
+ * Format voices as an aligned plain-text table, one string per line
+ */
+export function formatVoiceTable(voices) {
+  const header = ["NAME", "ENGINE", "LANGUAGE", "GENDER", "QUALITY", "DESCRIPTION"];
+  const rows = voices.map((voice) => [
+    voice.name,
+    voice.engine,
+    voice.language || "-",
+    voice.gender || "-",
+    voice.quality || "-",
+    voice.description,
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  return [header, ...rows].map((row) =>
+    row
+      .map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i])))
+      .join("  ")
+      .trimEnd()
+  );
+}
+
+/**
+ * Names close to an unknown voice: same name in another case, or names
+ * sharing a prefix or containing it
+ */
+function suggestVoices(name, voices) {
+  const lower = name.toLowerCase();
+  const names = [...new Set(voices.map((voice) => voice.name))];
+  const exact = names.filter((candidate) => candidate.toLowerCase() === lower);
+  if (exact.length > 0) {
+    return exact;
+  }
+  return names
+    .filter((candidate) => {
+      const other = candidate.toLowerCase();
+      return other.includes(lower) || lower.includes(other) || other.slice(0, 3) === lower.slice(0, 3);
+    })
+    .slice(0, 5);
+}
+
+/**
+ * Find a voice of one engine by name (or, for file-based voices, by path)
+ *
+ * @returns {Promise<{voice?: object, voices: Array<object>, error?: string}>}
+ */
+async function findVoice(engineName, value, config) {
+  const engine = await getEngine(engineName);
+  if (!engine) {
+    return { voices: [], error: `engine ${engineName} is not available` };
+  }
+
+  const { voices, errors } = await listVoiceInventory(config, { engine: engineName });
+  if (errors.length > 0) {
+    return { voices, error: errors[0].message };
+  }
+
+  const path = value.includes("/") ? resolve(value) : null;
+  const voice = path
+    ? voices.find((v) => v.path === path)
+    : voices.find((v) => v.name.normalize("NFC") === value.normalize("NFC"));
+  return { voice, voices };
+}
+
+/**
+ * Check one voice value for an engine
+ *
+ * @returns {Promise<{errors: Array<{path, message}>, notes: Array<string>, value: *}>}
+ */
+async function checkVoice(path, engineName, value, config, language = null) {
+  const result = { errors: [], notes: [], value };
+  if (value === null || value === undefined || value === "") {
+    return result;
+  }
+
+  const { voice, voices, error } = await findVoice(engineName, String(value), config);
+  if (error) {
+    result.notes.push(`Cannot check ${engineName} voice ${value}: ${error}`);
+    return result;
+  }
+  if (!voice) {
+    // A model file outside the voice directories is still usable
+    if (engineName === "piper" && String(value).endsWith(".onnx") && existsSync(value)) {
+      return result;
+    }
+    if (voices.length === 0) {
+      result.notes.push(`No ${engineName} voices found, cannot check ${value}`);
+      return result;
+    }
+    const suggestions = suggestVoices(String(value), voices);
+    const hint =
+      suggestions.length > 0 ? `did you mean ${suggestions.join(", ")}?` : `see auto-speak voices --engine ${engineName}`;
+    result.errors.push({ path, message: `unknown ${engineName} voice ${value} (${hint})` });
+    return result;
+  }
+
+  // piperVoice holds the model path; a bare voice name is resolved to it
+  if (path === "piperVoice" && voice.path) {
+    result.value = voice.path;
+  }
+  if (language && voice.language && !matchesLanguage(voice.language, language)) {
+    result.notes.push(`${voice.name} speaks ${voice.language}, not ${language}`);
+  }
+  return result;
+}
+
+/**
+ * Check voice settings against the inventory
+ * Handles the engine voice keys and multilingual.voiceByLanguage (the whole
+ * map or one language); other paths pass unchanged
+ *
+ * @param {string} path - Config path being set
+ * @param {*} value - Coerced value
+ * @param {object} config - Effective config, for engine settings
+ * @returns {Promise<{errors: Array<{path, message}>, notes: Array<string>, value: *}>}
+ *   value is the value to store (piper voice names become model paths)
+ */
+export async function checkVoiceSetting(path, value, config) {
+  if (VOICE_SETTINGS[path]) {
+    return checkVoice(path, VOICE_SETTINGS[path], value, config);
+  }
+
+  if (path.startsWith(`${VOICE_BY_LANGUAGE}.`)) {
+    const language = path.slice(VOICE_BY_LANGUAGE.length + 1);
+    return checkVoice(path, "piper", value, config, language);
+  }
+
+  const result = { errors: [], notes: [], value };
+  if (path === VOICE_BY_LANGUAGE && value && typeof value === "object") {
+    for (const [language, voice] of Object.entries(value)) {
+      const entry = await checkVoice(`${path}.${language}`, "piper", voice, config, language);
+      result.errors.push(...entry.errors);
+      result.notes.push(...entry.notes);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check every voice setting present in a config object
+ *
+ * @param {object} fileConfig - Config (or config file contents) to check
+ * @param {object} config - Effective config, for engine settings
+ * @returns {Promise<{errors: Array<{path, message}>, notes: Array<string>}>}
+ */
+export async function checkVoiceSettings(fileConfig, config) {
+  const result = { errors: [], notes: [] };
+  const checks = Object.keys(VOICE_SETTINGS)
+    .filter((path) => fileConfig[path] !== undefined)
+    .map((path) => [path, fileConfig[path]]);
+  if (fileConfig.multilingual?.voiceByLanguage) {
+    checks.push([VOICE_BY_LANGUAGE, fileConfig.multilingual.voiceByLanguage]);
+  }
+
+  for (const [path, value] of checks) {
+    const { errors, notes } = await checkVoiceSetting(path, value, config);
+    result.errors.push(...errors);
+    result.notes.push(...notes);
+  }
+  return result;
+}
+
+export default {
+  matchesLanguage,
+  listVoiceInventory,
+  formatVoiceTable,
+  checkVoiceSetting,
+  checkVoiceSettings,
+};
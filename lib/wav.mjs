@@ -0,0 +1,200 @@
+/**
+ * WAV reading and writing for rendered speech
+ *
+ * Engines write whatever their tool produces: say and eSpeak-NG 16-bit
+ * 22050 Hz, Piper the voice's own rate, VieNeu 24000 Hz, command engines
+ * anything. normalizeWav() converts all of it to WAV_FORMAT so rendered
+ * files are interchangeable.
+ */
+
+/**
+ * Format of every rendered WAV: 16-bit PCM, mono, 22050 Hz
+ */
+export const WAV_FORMAT = { sampleRate: 22050, channels: 1, bitsPerSample: 16 };
+
+const PCM = 1;
+const IEEE_FLOAT = 3;
+const EXTENSIBLE = 0xfffe;
+
+/**
+ * Decode a sample at an offset to a float in [-1, 1]
+ */
+function readSample(buffer, offset, bits, float) {
+  if (float) {
+    return bits === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+  }
+  switch (bits) {
+    case 8:
+      return (buffer.readUInt8(offset) - 128) / 128;
+    case 16:
+      return buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return buffer.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return buffer.readInt32LE(offset) / 2147483648;
+    default:
+      throw new Error(`Unsupported WAV sample size: ${bits} bits`);
+  }
+}
+
+/**
+ * Parse a WAV file into mono float samples
+ * Tolerates extra chunks (LIST, fact) and the unset sizes tools write when
+ * streaming to a pipe.
+ *
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {{sampleRate: number, samples: Float32Array}}
+ */
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      let audioFormat = buffer.readUInt16LE(body);
+      if (audioFormat === EXTENSIBLE) {
+        // The real format is the first two bytes of the SubFormat GUID
+        audioFormat = buffer.readUInt16LE(body + 24);
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      if (!format) {
+        throw new Error("WAV data chunk before fmt chunk");
+      }
+      if (format.audioFormat !== PCM && format.audioFormat !== IEEE_FLOAT) {
+        throw new Error(`Unsupported WAV encoding (format ${format.audioFormat})`);
+      }
+      // Streamed WAVs leave the size at 0 or 0xFFFFFFFF
+      const end = size === 0 || body + size > buffer.length ? buffer.length : body + size;
+      return { sampleRate: format.sampleRate, samples: decodeSamples(buffer.subarray(body, end), format) };
+    }
+
+    offset = body + size + (size % 2); // Chunks are word-aligned
+  }
+
+  throw new Error("WAV file has no audio data");
+}
+
+/**
+ * Decode interleaved samples, mixing all channels down to mono
+ */
+function decodeSamples(data, { channels, bitsPerSample, audioFormat }) {
+  const bytes = bitsPerSample / 8;
+  const frameSize = bytes * channels;
+  const frames = Math.floor(data.length / frameSize);
+  const samples = new Float32Array(frames);
+  const float = audioFormat === IEEE_FLOAT;
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(data, frame * frameSize + channel * bytes, bitsPerSample, float);
+    }
+    samples[frame] = sum / channels;
+  }
+  return samples;
+}
+
+/**
+ * Resample with linear interpolation (plenty for speech)
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.max(1, Math.round(samples.length / ratio)));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const weight = position - index;
+    output[i] = samples[Math.min(index, samples.length - 1)] * (1 - weight) + samples[next] * weight;
+  }
+  return output;
+}
+
+/**
+ * Encode mono float samples as a 16-bit PCM WAV
+ *
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+export function encodeWav(samples, sampleRate = WAV_FORMAT.sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write("RIFF", 0, "ascii");
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write("WAVE", 8, "ascii");
+  buffer.write("fmt ", 12, "ascii");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(PCM, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36, "ascii");
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(sample < 0 ? sample * 32768 : sample * 32767), 44 + i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Header for a WAV_FORMAT stream of unknown length
+ * Followed by the pcmData() of normalized WAVs, it lets one player process
+ * play many clips back to back without gaps
+ */
+export function wavStreamHeader() {
+  const header = encodeWav(new Float32Array(0));
+  // Unknown sizes, as written by tools streaming to a pipe
+  header.writeUInt32LE(0xffffffff, 4);
+  header.writeUInt32LE(0xffffffff, 40);
+  return header;
+}
+
+/**
+ * Audio data of a WAV produced by encodeWav() or normalizeWav()
+ */
+export function pcmData(buffer) {
+  return buffer.subarray(44);
+}
+
+/**
+ * Convert any PCM or float WAV to WAV_FORMAT
+ *
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Buffer}
+ */
+export function normalizeWav(buffer) {
+  const { sampleRate, samples } = parseWav(buffer);
+  return encodeWav(resample(samples, sampleRate, WAV_FORMAT.sampleRate), WAV_FORMAT.sampleRate);
+}
+
+export default {
+  WAV_FORMAT,
+  parseWav,
+  encodeWav,
+  normalizeWav,
+  wavStreamHeader,
+  pcmData,
+};
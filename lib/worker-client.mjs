@@ -0,0 +1,194 @@
+/**
+ * Client for the synthesis worker (lib/synthesis-worker.mjs)
+ *
+ * synthesizeInWorker() starts the worker on first use and sends it the
+ * text; the worker keeps the engine's model loaded for the next utterance.
+ * Whenever the worker cannot be reached or started, or the engine process
+ * does not answer within worker.timeoutSeconds, it returns false and the
+ * caller runs the engine once instead, as before.
+ *
+ * Config:
+ *
+ *   "worker": {
+ *     "enabled": true,
+ *     "idleSeconds": 300,   // The worker exits after this long unused
+ *     "timeoutSeconds": 30  // Restart an engine process stuck this long on one utterance
+ *   }
+ */
+
+import { spawn } from "child_process";
+import { openSync } from "fs";
+import { createConnection } from "net";
+import { homedir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "./logger.mjs";
+
+const INSTALL_DIR = join(homedir(), ".claude-auto-speak");
+export const WORKER_SOCKET = join(INSTALL_DIR, "worker.sock");
+const WORKER_SCRIPT = join(dirname(fileURLToPath(import.meta.url)), "synthesis-worker.mjs");
+
+// How long to wait for a freshly started worker to accept connections
+const START_TIMEOUT_MS = 3000;
+
+// How long to wait for the worker's answer to anything but synthesis
+const REPLY_TIMEOUT_MS = 3000;
+
+// Extra time for a synthesis answer on top of worker.timeoutSeconds: the
+// worker times the engine itself and answers first
+const SYNTHESIS_MARGIN_MS = 2000;
+
+const logger = createLogger("worker");
+
+/**
+ * Worker settings with defaults filled in
+ */
+export function workerSettings(config) {
+  return { enabled: true, idleSeconds: 300, timeoutSeconds: 30, ...config?.worker };
+}
+
+/**
+ * Send one request and wait for the response line
+ * Rejects when the worker is unreachable, drops the connection or does not
+ * answer within timeoutMs
+ *
+ * @returns {Promise<object>}
+ */
+function request(message, timeoutMs = REPLY_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const socket = createConnection(WORKER_SOCKET);
+    let buffer = "";
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(new Error(`Synthesis worker did not answer within ${timeoutMs}ms`));
+    });
+    socket.on("connect", () => socket.write(JSON.stringify(message) + "\n"));
+    socket.on("data", (chunk) => (buffer += chunk));
+    socket.on("error", reject);
+    socket.on("close", () => {
+      try {
+        resolve(JSON.parse(buffer));
+      } catch (err) {
+        reject(new Error("Synthesis worker closed the connection"));
+      }
+    });
+  });
+}
+
+/**
+ * Start the worker in the background, detached so it outlives this process
+ *
+ * @returns {{exited: boolean}} Updated if the worker exits early
+ */
+function startWorker() {
+  const state = { exited: false };
+  const output = openSync(join(INSTALL_DIR, "stderr.log"), "a");
+  const child = spawn(process.execPath, [WORKER_SCRIPT], {
+    detached: true,
+    stdio: ["ignore", output, output],
+  });
+  child.on("exit", () => (state.exited = true));
+  child.on("error", () => (state.exited = true));
+  child.unref();
+  logger.debug("Started synthesis worker", { workerPid: child.pid });
+  return state;
+}
+
+/**
+ * Send a request, starting the worker first if it is not running
+ */
+async function requestStartingWorker(message, timeoutMs) {
+  try {
+    return await request(message, timeoutMs);
+  } catch (err) {
+    if (!["ENOENT", "ECONNREFUSED"].includes(err.code)) {
+      throw err;
+    }
+  }
+
+  const worker = startWorker();
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    try {
+      return await request(message, timeoutMs);
+    } catch (err) {
+      if (!["ENOENT", "ECONNREFUSED"].includes(err.code) || Date.now() > deadline) {
+        throw err;
+      }
+      if (worker.exited) {
+        // Crashed, or lost a start race to another worker that now serves
+        return request(message, timeoutMs);
+      }
+    }
+  }
+}
+
+/**
+ * Synthesize a WAV file in the worker
+ * Throws if the engine fails; returns false if the worker is unavailable
+ * or the engine process timed out (the worker restarts it), so the caller
+ * can run the engine once instead
+ *
+ * @param {object} engine - Registered engine with a persistent spec
+ * @param {string} text - Text to synthesize
+ * @param {string} outputFile - WAV file to write
+ * @param {object} options - { voice, rate, language }
+ * @param {object} config - Effective config
+ * @returns {Promise<boolean>} Whether the worker wrote the file
+ */
+export async function synthesizeInWorker(engine, text, outputFile, options, config) {
+  const message = { type: "synthesize", engine: engine.name, text, output: outputFile, options, config };
+  let response;
+  try {
+    response = await requestStartingWorker(message, workerSettings(config).timeoutSeconds * 1000 + SYNTHESIS_MARGIN_MS);
+  } catch (err) {
+    logger.warn(`Synthesis worker unavailable, running ${engine.name} once: ${err.message}`, { engine: engine.name });
+    return false;
+  }
+
+  if (response.timedOut) {
+    logger.warn(`${response.error}, running ${engine.name} once`, { engine: engine.name });
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(response.error);
+  }
+  return true;
+}
+
+/**
+ * Ask a running worker for its status
+ *
+ * @returns {Promise<object|null>} Status, or null if no worker is running
+ */
+export async function getWorkerStatus() {
+  try {
+    return await request({ type: "status" });
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Stop a running worker, unloading its models
+ *
+ * @returns {Promise<boolean>} Whether a worker was running
+ */
+export async function stopWorker() {
+  try {
+    await request({ type: "stop" });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export default {
+  WORKER_SOCKET,
+  workerSettings,
+  synthesizeInWorker,
+  getWorkerStatus,
+  stopWorker,
+};
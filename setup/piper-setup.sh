@@ -165,12 +165,16 @@ echo ""
 echo -e "${CYAN}Updating auto-speak configuration...${NC}"
 
 node -e "
-import { loadConfig, saveConfig } from '${INSTALL_DIR}/lib/config.mjs';
-const config = loadConfig();
-config.ttsEngine = 'piper';
-config.piperPath = '${PIPER_DIR}/piper';
-config.piperVoice = '${VOICES_DIR}/${VOICE_NAME}.onnx';
-saveConfig(config);
+import { loadGlobalConfig, updateConfig } from '${INSTALL_DIR}/lib/config.mjs';
+const { ttsEngine } = loadGlobalConfig();
+updateConfig((settings) => {
+  // Keep an engine chain that already includes Piper
+  if (![].concat(ttsEngine).includes('piper')) {
+    settings.ttsEngine = 'piper';
+  }
+  settings.piperPath = '${PIPER_DIR}/piper';
+  settings.piperVoice = '${VOICES_DIR}/${VOICE_NAME}.onnx';
+});
 console.log('Config updated');
 "
 
@@ -188,7 +192,11 @@ if [[ -f /tmp/piper-test.wav ]]; then
   # Play on macOS
   if command -v afplay &>/dev/null; then
     afplay /tmp/piper-test.wav
-  # Play on Linux
+  # Play on Linux (PipeWire, PulseAudio, then ALSA)
+  elif command -v pw-play &>/dev/null; then
+    pw-play /tmp/piper-test.wav
+  elif command -v paplay &>/dev/null; then
+    paplay /tmp/piper-test.wav
   elif command -v aplay &>/dev/null; then
     aplay /tmp/piper-test.wav
   fi
@@ -196,6 +204,9 @@ if [[ -f /tmp/piper-test.wav ]]; then
   echo -e "${GREEN}✓${NC} Piper TTS working"
 fi
 
+# Pre-render the progress phrases, so the first progress update is instant
+node "${INSTALL_DIR}/bin/auto-speak" cache warm 2>/dev/null || true
+
 echo ""
 echo -e "${GREEN}=== Piper Setup Complete ===${NC}"
 echo ""
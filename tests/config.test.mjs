@@ -0,0 +1,125 @@
+import { TEST_HOME } from "./helpers.mjs";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  resolveConfig,
+  setConfigValue,
+  unsetConfigValue,
+  readConfigFile,
+  envNameToPath,
+} from "../lib/config.mjs";
+import { CONFIG_VERSION, coerceValue, checkValue, getSchemaForPath, validateConfig } from "../lib/config-schema.mjs";
+
+const readFile = (file = CONFIG_FILE) => JSON.parse(readFileSync(file, "utf-8"));
+
+beforeEach(() => rmSync(CONFIG_FILE, { force: true }));
+
+test("setConfigValue: writes only the changed setting", () => {
+  setConfigValue("rate", 200);
+  setConfigValue("progress.intervalSeconds", 30);
+
+  assert.deepEqual(readFile(), { configVersion: CONFIG_VERSION, rate: 200, progress: { intervalSeconds: 30 } });
+  const { sources } = resolveConfig({ project: false });
+  assert.equal(sources.rate, "global");
+  assert.equal(sources.voice, "default");
+  assert.equal(sources["progress.enabled"], "default");
+});
+
+test("unsetConfigValue: removes the key and empty parents", () => {
+  setConfigValue("rate", 200);
+  setConfigValue("progress.intervalSeconds", 30);
+
+  assert.equal(unsetConfigValue("progress.intervalSeconds"), true);
+  assert.deepEqual(readFile(), { configVersion: CONFIG_VERSION, rate: 200 });
+  assert.equal(unsetConfigValue("progress.intervalSeconds"), false);
+  assert.equal(resolveConfig({ project: false }).config.progress.intervalSeconds, DEFAULT_CONFIG.progress.intervalSeconds);
+});
+
+test("setConfigValue: refuses to overwrite an unparseable file", () => {
+  mkdirSync(join(TEST_HOME, ".claude-auto-speak"), { recursive: true });
+  writeFileSync(CONFIG_FILE, "{ broken");
+
+  assert.throws(() => setConfigValue("rate", 200), SyntaxError);
+  assert.equal(readFileSync(CONFIG_FILE, "utf-8"), "{ broken");
+});
+
+test("migration from v1: an unversioned file gets the prefixed vieneu model name", () => {
+  mkdirSync(join(TEST_HOME, ".claude-auto-speak"), { recursive: true });
+  writeFileSync(CONFIG_FILE, JSON.stringify({ vieneuModel: "0.5b", rate: 200 }));
+
+  const { config, migrated } = readConfigFile();
+
+  assert.equal(migrated, true);
+  assert.deepEqual(config, { configVersion: CONFIG_VERSION, vieneuModel: "vieneu-0.5b", rate: 200 });
+});
+
+test("migration to v3: a global file saved with every default keeps only its changes", () => {
+  mkdirSync(join(TEST_HOME, ".claude-auto-speak"), { recursive: true });
+  const saved = structuredClone(DEFAULT_CONFIG);
+  saved.configVersion = 2;
+  saved.rate = 220;
+  saved.progress.enabled = false;
+  saved.lexicon = { kubectl: "cube control", JSON: "jay son", Zephyr: "zeh fir" };
+  writeFileSync(CONFIG_FILE, JSON.stringify(saved));
+
+  const { config, migrated } = readConfigFile();
+
+  assert.equal(migrated, true);
+  assert.deepEqual(config, {
+    configVersion: CONFIG_VERSION,
+    rate: 220,
+    progress: { enabled: false },
+    lexicon: { JSON: "jay son", Zephyr: "zeh fir" },
+  });
+});
+
+test("migration to v3: project files keep values equal to the defaults", () => {
+  const dir = join(TEST_HOME, "project");
+  mkdirSync(dir, { recursive: true });
+  const file = join(dir, ".claude-auto-speak.json");
+  writeFileSync(file, JSON.stringify({ verbosity: "brief", lexicon: { kubectl: "cube control" } }));
+
+  assert.deepEqual(readConfigFile(file).config, {
+    configVersion: CONFIG_VERSION,
+    verbosity: "brief",
+    lexicon: { kubectl: "cube control" },
+  });
+});
+
+test("coerceValue: a comma-separated engine list becomes a chain", () => {
+  const value = coerceValue("ttsEngine", "piper, espeak-ng");
+
+  assert.deepEqual(value, ["piper", "espeak-ng"]);
+  assert.equal(checkValue(value, getSchemaForPath("ttsEngine")), null);
+  assert.equal(coerceValue("ttsEngine", "piper"), "piper");
+  assert.deepEqual(coerceValue("ttsEngine", '["print"]'), ["print"]);
+});
+
+test("coerceValue: parses numbers and booleans from the command line", () => {
+  assert.equal(coerceValue("rate", "200"), 200);
+  assert.equal(coerceValue("progress.enabled", "false"), false);
+});
+
+test("validateConfig: suggests the closest key for a typo", () => {
+  assert.deepEqual(validateConfig({ rat: 200, progress: { intervalSecond: 30 }, zzzzqq: 1 }), [
+    { path: "rat", message: "unknown key (did you mean rate?)" },
+    { path: "progress.intervalSecond", message: "unknown key (did you mean intervalSeconds?)" },
+    { path: "zzzzqq", message: "unknown key" },
+  ]);
+});
+
+test("environment: AUTO_SPEAK_TTS_ENGINE accepts a chain", () => {
+  assert.equal(envNameToPath("AUTO_SPEAK_TTSENGINE"), "ttsEngine");
+  process.env.AUTO_SPEAK_TTS_ENGINE = "piper,print";
+  try {
+    const { config, sources } = resolveConfig({ project: false });
+    assert.deepEqual(config.ttsEngine, ["piper", "print"]);
+    assert.equal(sources.ttsEngine, "env");
+  } finally {
+    delete process.env.AUTO_SPEAK_TTS_ENGINE;
+  }
+});
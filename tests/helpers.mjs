@@ -0,0 +1,63 @@
+/**
+ * Shared test helpers
+ *
+ * Import this first in every test file: it points HOME at a temporary
+ * directory before any lib module reads it, so tests never touch the real
+ * ~/.claude-auto-speak (config, logs, caches, worker socket).
+ */
+
+import { mkdtempSync, rmSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+
+export const TEST_HOME = mkdtempSync(join(tmpdir(), "auto-speak-test-"));
+process.env.HOME = TEST_HOME;
+process.on("exit", () => rmSync(TEST_HOME, { recursive: true, force: true }));
+delete process.env.CLAUDE_PROJECT_DIR;
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith("AUTO_SPEAK_")) {
+    delete process.env[name];
+  }
+}
+
+/**
+ * Start a local HTTP server for a test
+ * The handler gets (req, res, body) with the request body read as a string;
+ * every request is recorded as { method, url, headers, body }.
+ *
+ * @param {Function} handler - (req, res, body) => void
+ * @returns {Promise<{url: string, requests: Array<object>, close: Function}>}
+ */
+export async function startStubServer(handler) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+/**
+ * Answer a request with JSON
+ */
+export function sendJson(res, data, status = 200) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
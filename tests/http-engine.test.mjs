@@ -0,0 +1,129 @@
+import { startStubServer, TEST_HOME } from "./helpers.mjs";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { join } from "path";
+import http from "../lib/engines/http.mjs";
+import { resolveEngineChain } from "../lib/tts-engines.mjs";
+
+const servers = [];
+after(() => Promise.all(servers.map((server) => server.close())));
+
+async function stub(handler) {
+  const server = await startStubServer(handler);
+  servers.push(server);
+  return server;
+}
+
+// A URL nothing listens on: a stub server that was started and closed again
+async function deadUrl() {
+  const server = await startStubServer(() => {});
+  await server.close();
+  return server.url;
+}
+
+const sendAudio = (res) => {
+  res.writeHead(200, { "Content-Type": "audio/wav" });
+  res.end("RIFF-audio");
+};
+
+test("synthesize: openai api posts JSON to /audio/speech", async () => {
+  const server = await stub((req, res) => sendAudio(res));
+  const config = { http: { baseUrl: `${server.url}/v1/`, api: "openai", model: "kokoro", voice: "af_bella", apiKey: "k" } };
+  const file = join(TEST_HOME, "openai.wav");
+
+  await http.synthesize("Hello there", file, { rate: 350 }, config);
+
+  assert.equal(readFileSync(file, "utf-8"), "RIFF-audio");
+  const [request] = server.requests;
+  assert.equal(request.url, "/v1/audio/speech");
+  assert.equal(request.headers.authorization, "Bearer k");
+  assert.deepEqual(JSON.parse(request.body), {
+    model: "kokoro",
+    input: "Hello there",
+    voice: "af_bella",
+    response_format: "wav",
+    speed: 2,
+  });
+});
+
+test("synthesize: plain api posts the text itself", async () => {
+  const server = await stub((req, res) => sendAudio(res));
+  const config = { http: { baseUrl: `${server.url}/tts`, api: "plain" } };
+
+  await http.synthesize("Hello there", join(TEST_HOME, "plain.wav"), {}, config);
+
+  const [request] = server.requests;
+  assert.equal(request.url, "/tts");
+  assert.equal(request.headers["content-type"], "text/plain; charset=utf-8");
+  assert.equal(request.body, "Hello there");
+});
+
+test("synthesize: HTTP errors name the status and detail", async () => {
+  const server = await stub((req, res) => {
+    res.writeHead(404);
+    res.end("voice not found");
+  });
+  const config = { http: { baseUrl: server.url, api: "openai" } };
+
+  await assert.rejects(http.synthesize("Hi", join(TEST_HOME, "error.wav"), {}, config), /HTTP 404: voice not found/);
+});
+
+test("synthesize: a server that never answers times out", async () => {
+  const server = await stub(() => {});
+  const config = { http: { baseUrl: server.url, api: "plain", timeout: 200 } };
+
+  await assert.rejects(http.synthesize("Hi", join(TEST_HOME, "silent.wav"), {}, config), /did not respond within 200ms/);
+});
+
+test("synthesize: a body that stalls after the headers times out", async () => {
+  const server = await stub((req, res) => {
+    res.writeHead(200, { "Content-Type": "audio/wav" });
+    res.write("RIFF");
+  });
+  const config = { http: { baseUrl: server.url, api: "plain", timeout: 200 } };
+
+  await assert.rejects(http.synthesize("Hi", join(TEST_HOME, "stalled.wav"), {}, config), /stopped sending audio within 200ms/);
+});
+
+test("synthesize: a slow body that keeps arriving is not cut off", async () => {
+  const server = await stub((req, res) => {
+    res.writeHead(200, { "Content-Type": "audio/wav" });
+    let sent = 0;
+    const interval = setInterval(() => {
+      res.write("x");
+      if (++sent === 5) {
+        clearInterval(interval);
+        res.end();
+      }
+    }, 80);
+  });
+  const config = { http: { baseUrl: server.url, api: "plain", timeout: 200 } };
+  const file = join(TEST_HOME, "slow.wav");
+
+  await http.synthesize("Hi", file, {}, config);
+  assert.equal(readFileSync(file, "utf-8"), "xxxxx");
+});
+
+test("isAvailable: a listening server is available, a dead one is not", async () => {
+  const server = await stub((req, res) => sendAudio(res));
+
+  assert.deepEqual(await http.isAvailable({ http: { baseUrl: `${server.url}/v1` } }), { available: true });
+  assert.equal(server.requests.length, 0);
+
+  const dead = await http.isAvailable({ http: { baseUrl: await deadUrl() } });
+  assert.equal(dead.available, false);
+  assert.match(dead.reason, /ECONNREFUSED/);
+
+  const invalid = await http.isAvailable({ http: { baseUrl: "not a url" } });
+  assert.equal(invalid.reason, "http.baseUrl is not a valid URL");
+});
+
+test("resolveEngineChain: a dead server is skipped up front", async () => {
+  const config = { http: { baseUrl: await deadUrl() } };
+
+  const [httpEntry, printEntry] = await resolveEngineChain(["http", "print"], config);
+
+  assert.equal(httpEntry.available, false);
+  assert.equal(printEntry.available, true);
+});
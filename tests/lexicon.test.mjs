@@ -0,0 +1,51 @@
+import "./helpers.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileRule, explainLexicon, applyLexicon, lexiconRules } from "../lib/lexicon.mjs";
+
+test("compileRule: plain entries match whole words, symbols included", () => {
+  assert.equal("C++ and C".replace(compileRule("C++", {}), "X"), "X and C");
+  assert.equal("C# and C#m".replace(compileRule("C#", {}), "X"), "X and C#m");
+  assert.equal(".NET, not ASP.NET".replace(compileRule(".NET", {}), "X"), "X, not ASP.NET");
+  assert.equal("Kubectl, kubectl-ai".replace(compileRule("kubectl", {}), "X"), "X, X-ai");
+  assert.equal("Acme acme".replace(compileRule("Acme", { caseSensitive: true }), "X"), "X acme");
+  assert.throws(() => compileRule("(", { regex: true }), SyntaxError);
+});
+
+test("explainLexicon: reports which entries matched and how often", () => {
+  const config = { lexicon: { "C++": "C plus plus", "C#": "C sharp", ".NET": "dot net", nginx: "engine x" } };
+
+  const { text, applied } = explainLexicon("C++ and C# on .NET, then C++ again", config);
+
+  assert.equal(text, "C plus plus and C sharp on dot net, then C plus plus again");
+  assert.deepEqual(applied, [
+    { match: "C++", say: "C plus plus", count: 2 },
+    { match: "C#", say: "C sharp", count: 1 },
+    { match: ".NET", say: "dot net", count: 1 },
+  ]);
+});
+
+test("applyLexicon: regex entries insert their groups", () => {
+  const config = { lexicon: { "v(\\d+)\\.(\\d+)": { say: "version $1 point $2", regex: true } } };
+
+  assert.equal(applyLexicon("Deploy v2.5 now", config), "Deploy version 2 point 5 now");
+});
+
+test("applyLexicon: the first variant for the engine and language wins", () => {
+  const config = {
+    lexicon: {
+      nginx: [{ say: "engine ex", engine: "espeak-ng" }, { say: "engine x" }],
+      cache: { say: "cash", language: "vi" },
+    },
+  };
+
+  assert.equal(applyLexicon("nginx cache", config, { engine: "espeak-ng", language: "en" }), "engine ex cache");
+  assert.equal(applyLexicon("nginx cache", config, { engine: "piper", language: "vi-VN" }), "engine x cash");
+});
+
+test("lexiconRules: null removes an entry and rules need a spoken form", () => {
+  assert.deepEqual(lexiconRules(null), []);
+  assert.deepEqual(lexiconRules("cube control"), [{ say: "cube control" }]);
+  assert.deepEqual(lexiconRules([{ engine: "piper" }, { say: "x" }]), [{ say: "x" }]);
+  assert.equal(applyLexicon("kubectl", { lexicon: { kubectl: null } }), "kubectl");
+});
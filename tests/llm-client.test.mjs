@@ -0,0 +1,138 @@
+import { startStubServer, sendJson } from "./helpers.mjs";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { complete, checkLLM, llmSettings } from "../lib/llm-client.mjs";
+
+const servers = [];
+after(() => Promise.all(servers.map((server) => server.close())));
+
+async function stub(handler) {
+  const server = await startStubServer(handler);
+  servers.push(server);
+  return server;
+}
+
+test("llmSettings: task settings override the shared ones", () => {
+  const config = {
+    ollamaModel: "qwen2.5:1.5b",
+    translation: { model: "gemma2:9b", timeout: 12000 },
+    llm: {
+      provider: "openai",
+      baseUrl: "http://localhost:9000/v1/",
+      tasks: { summary: { model: "small", timeout: null }, translation: { provider: "ollama", baseUrl: null } },
+    },
+  };
+
+  assert.deepEqual(llmSettings(config, "summary"), {
+    provider: "openai",
+    baseUrl: "http://localhost:9000/v1",
+    apiKey: null,
+    model: "small",
+    timeout: 10000,
+  });
+  const translation = llmSettings(config, "translation");
+  assert.equal(translation.provider, "ollama");
+  assert.equal(translation.model, "gemma2:9b");
+  assert.equal(translation.timeout, 12000);
+});
+
+test("complete: ollama sends /api/generate with mapped options", async () => {
+  const server = await stub((req, res) => sendJson(res, { response: "  A summary.\n" }));
+  const config = { ollamaModel: "qwen", llm: { provider: "ollama", baseUrl: server.url } };
+
+  const text = await complete(config, "summary", {
+    prompt: "Summarize",
+    system: "Be brief",
+    options: { maxTokens: 40, temperature: 0.2 },
+  });
+
+  assert.equal(text, "A summary.");
+  const [request] = server.requests;
+  assert.equal(request.url, "/api/generate");
+  assert.deepEqual(JSON.parse(request.body), {
+    model: "qwen",
+    prompt: "Summarize",
+    system: "Be brief",
+    stream: false,
+    options: { num_predict: 40, temperature: 0.2 },
+  });
+});
+
+test("complete: ollama-chat reads message.content", async () => {
+  const server = await stub((req, res) => sendJson(res, { message: { content: "Hi" } }));
+  const config = { llm: { provider: "ollama-chat", baseUrl: server.url } };
+
+  assert.equal(await complete(config, "acknowledgment", { prompt: "Hello" }), "Hi");
+  assert.equal(server.requests[0].url, "/api/chat");
+  assert.deepEqual(JSON.parse(server.requests[0].body).messages, [{ role: "user", content: "Hello" }]);
+});
+
+test("complete: openai sends only API parameters and the bearer token", async () => {
+  const server = await stub((req, res) => sendJson(res, { choices: [{ message: { content: "Done." } }] }));
+  const config = {
+    llm: { provider: "openai", baseUrl: `${server.url}/v1`, apiKey: "secret", tasks: { summary: { model: "m" } } },
+  };
+
+  const text = await complete(config, "summary", { prompt: "P", options: { maxTokens: 10, topK: 5 } });
+
+  assert.equal(text, "Done.");
+  const [request] = server.requests;
+  assert.equal(request.url, "/v1/chat/completions");
+  assert.equal(request.headers.authorization, "Bearer secret");
+  assert.deepEqual(JSON.parse(request.body), {
+    model: "m",
+    messages: [{ role: "user", content: "P" }],
+    max_tokens: 10,
+    stream: false,
+  });
+});
+
+test("complete: HTTP errors name the status and detail", async () => {
+  const server = await stub((req, res) => {
+    res.writeHead(500);
+    res.end("model not loaded");
+  });
+  const config = { llm: { provider: "ollama", baseUrl: server.url } };
+
+  await assert.rejects(complete(config, "summary", { prompt: "P" }), /HTTP 500: model not loaded/);
+});
+
+test("complete: a server that never answers times out", async () => {
+  const server = await stub(() => {});
+  const config = { llm: { provider: "ollama", baseUrl: server.url, tasks: { summary: { timeout: 200 } } } };
+
+  await assert.rejects(complete(config, "summary", { prompt: "P" }), /did not answer the summary request within 200ms/);
+});
+
+test("complete: an answer without text is an error", async () => {
+  const server = await stub((req, res) => sendJson(res, { done: true }));
+  const config = { llm: { provider: "ollama", baseUrl: server.url } };
+
+  await assert.rejects(complete(config, "summary", { prompt: "P" }), /answered without text/);
+});
+
+test("complete: unknown providers are rejected", async () => {
+  await assert.rejects(complete({ llm: { provider: "nope" } }, "summary", { prompt: "P" }), /Unknown LLM provider: nope/);
+});
+
+test("checkLLM: finds the model in the server's list", async () => {
+  const server = await stub((req, res) => sendJson(res, { models: [{ name: "qwen2.5:1.5b" }, { name: "llama3:latest" }] }));
+
+  const found = await checkLLM({ ollamaModel: "llama3", llm: { baseUrl: server.url } });
+  assert.equal(found.reachable, true);
+  assert.equal(found.hasModel, true);
+  assert.equal(server.requests[0].url, "/api/tags");
+
+  const missing = await checkLLM({ ollamaModel: "mistral", llm: { baseUrl: server.url } });
+  assert.equal(missing.hasModel, false);
+});
+
+test("checkLLM: reports an unreachable server", async () => {
+  const server = await stub(() => {});
+  const { url } = server;
+  await server.close();
+  servers.splice(servers.indexOf(server), 1);
+
+  const result = await checkLLM({ llm: { provider: "openai", baseUrl: url } });
+  assert.equal(result.reachable, false);
+});
@@ -0,0 +1,77 @@
+import "./helpers.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isFailureText, shouldSpeak, findQuietWindow, parseDuration } from "../lib/schedule.mjs";
+
+const FAILURES = [
+  "The build failed",
+  "3 tests failed",
+  "Tests: 1 failed, 11 passed",
+  "Error: cannot find module express",
+  "I could not connect to the database",
+  "The server crashed on startup",
+  "Fixed two bugs, but one test still fails",
+  "Done, though npm install errors remain",
+];
+
+const SUCCESSES = [
+  "All done, no errors",
+  "12 passed, 0 failed",
+  "0 errors, 0 warnings",
+  "Errors: 0",
+  "Zero failures in the suite",
+  "No test failures",
+  "Nothing failed",
+  "Build finished without errors",
+  "Added error handling to the parser",
+  "Fixed the failing test",
+  "Added a fail-safe default",
+];
+
+test("isFailureText: failure phrases", () => {
+  for (const text of FAILURES) {
+    assert.equal(isFailureText(text), true, text);
+  }
+});
+
+test("isFailureText: success text mentioning failure words", () => {
+  for (const text of SUCCESSES) {
+    assert.equal(isFailureText(text), false, text);
+  }
+  assert.equal(isFailureText(""), false);
+});
+
+// Monday 23:30, inside a 22:00-08:00 window
+const LATE = new Date(2026, 9, 19, 23, 30);
+const quietConfig = (quietLevel) => ({
+  schedule: { enabled: true, quietHours: [{ start: "22:00", end: "08:00" }], quietLevel },
+});
+
+test("shouldSpeak: during quiet hours with quietLevel failures, only failing summaries speak", () => {
+  const config = quietConfig("failures");
+
+  assert.equal(shouldSpeak(config, "summary", "2 tests failed", LATE), true);
+  assert.equal(shouldSpeak(config, "summary", "All 12 tests passed, 0 failed", LATE), false);
+  assert.equal(shouldSpeak(config, "summary", "Build finished with no errors", LATE), false);
+  assert.equal(shouldSpeak(config, "progress", "Still working, the build failed", LATE), false);
+});
+
+test("shouldSpeak: silent quiet hours mute everything, and nothing is muted outside them", () => {
+  assert.equal(shouldSpeak(quietConfig("silent"), "summary", "The build failed", LATE), false);
+  assert.equal(shouldSpeak(quietConfig("silent"), "summary", "Done", new Date(2026, 9, 19, 12, 0)), true);
+});
+
+test("findQuietWindow: windows past midnight belong to the day they start", () => {
+  const config = { schedule: { quietHours: [{ days: ["mon"], start: "22:00", end: "08:00" }] } };
+
+  assert.ok(findQuietWindow(config, new Date(2026, 9, 20, 7, 0))); // Tuesday morning
+  assert.equal(findQuietWindow(config, new Date(2026, 9, 19, 7, 0)), null); // Monday morning
+});
+
+test("parseDuration", () => {
+  assert.equal(parseDuration("45m"), 45 * 60 * 1000);
+  assert.equal(parseDuration("1h30m"), 90 * 60 * 1000);
+  assert.equal(parseDuration("90"), 90 * 60 * 1000);
+  assert.equal(parseDuration("soon"), null);
+  assert.equal(parseDuration("0m"), null);
+});
@@ -0,0 +1,49 @@
+import "./helpers.mjs";
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { mkdirSync, writeFileSync } from "fs";
+import { dirname } from "path";
+import { fileURLToPath } from "url";
+import { CONFIG_FILE } from "../lib/config.mjs";
+
+const SPEAK = fileURLToPath(new URL("../bin/speak", import.meta.url));
+
+// Run bin/speak under the test HOME; resolves with its exit code and output
+function speak(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SPEAK, ...args], { timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+before(() => {
+  mkdirSync(dirname(CONFIG_FILE), { recursive: true });
+  writeFileSync(
+    CONFIG_FILE,
+    JSON.stringify({
+      commandEngines: {
+        broken: { command: [process.execPath, "-e", "process.exit(3)"], output: "speaker" },
+        unavailable: { command: ["auto-speak-test-missing-tts"], output: "speaker" },
+      },
+    })
+  );
+});
+
+test("speak: an engine that exits non-zero falls through to the next one", async () => {
+  const { code, stdout, stderr } = await speak(["--engine", "broken,print", "Build finished"]);
+
+  assert.equal(code, 0);
+  assert.match(stderr, /broken exited with code 3/);
+  assert.match(stderr, /Falling back to print/);
+  assert.match(stdout, /print .*: Build finished/);
+});
+
+test("speak: a dry run reports the utterance without availability errors or fallback notes", async () => {
+  const { code, stdout, stderr } = await speak(["--dry-run", "--engine", "unavailable,print", "Build finished"]);
+
+  assert.equal(code, 0);
+  assert.equal(stderr, "");
+  assert.match(stdout, /: Build finished/);
+});
@@ -0,0 +1,64 @@
+import "./helpers.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeForSpeech } from "../lib/speech-normalizer.mjs";
+import { fallbackSummarize } from "../lib/summarize.mjs";
+import { OutputFilter } from "../lib/output-filter.mjs";
+import { applyLexicon } from "../lib/lexicon.mjs";
+
+test("normalizeForSpeech: facts written for the eye", () => {
+  const cases = {
+    "Released v2.3.1": "Released version 2 point 3 point 1",
+    "Took 150ms": "Took 150 milliseconds",
+    "Coverage is 45%": "Coverage is 45 percent",
+    "3/5 tests pass": "3 of 5 tests pass",
+    "PR #42 merged": "PR number 42 merged",
+    "Due 2026-10-19": "Due October nineteenth, 2026",
+    "Uses 200MB": "Uses 200 megabytes",
+    "Ran for 1m30s": "Ran for 1 minute 30 seconds",
+    "The 21st run": "The twenty-first run",
+  };
+  for (const [written, spoken] of Object.entries(cases)) {
+    assert.equal(normalizeForSpeech(written), spoken);
+  }
+});
+
+test("normalizeForSpeech: versions need a lowercase v with dots, or the word version", () => {
+  assert.equal(normalizeForSpeech("Bumped to v1.2.3"), "Bumped to version 1 point 2 point 3");
+  assert.equal(normalizeForSpeech("Shipped version v2"), "Shipped version 2");
+  assert.equal(normalizeForSpeech("Tagged v1.0.0-beta.1"), "Tagged version 1 point 0 point 0 beta 1");
+  assert.equal(normalizeForSpeech("V8 got faster"), "V8 got faster");
+  assert.equal(normalizeForSpeech("The V2 engine and v2 API"), "The V2 engine and v2 API");
+});
+
+test("normalizeForSpeech: decimal points are spoken", () => {
+  assert.equal(normalizeForSpeech("Node 20.1 is out"), "Node 20 point 1 is out");
+  assert.equal(normalizeForSpeech("Took 2.5 seconds"), "Took 2 point 5 seconds");
+  assert.equal(normalizeForSpeech("Bumped to Node 20.1."), "Bumped to Node 20 point 1.");
+  assert.equal(normalizeForSpeech("Released v2.3.1."), "Released version 2 point 3 point 1.");
+  assert.equal(normalizeForSpeech("Node 20.1", "vi"), "Node 20 chấm 1");
+  // Not a number to read out
+  assert.equal(normalizeForSpeech("Bound to 10.0.0.1"), "Bound to 10.0.0.1");
+});
+
+test("normalizeForSpeech: + and # ending a word stay, other symbols go", () => {
+  assert.equal(normalizeForSpeech("Upgraded C++ and C# builds"), "Upgraded C++ and C# builds");
+  assert.equal(normalizeForSpeech("Ported it to .NET 8 and F#."), "Ported it to .NET 8 and F#.");
+  assert.equal(normalizeForSpeech("Set a+b = c in @config"), "Set ab c in config");
+  assert.equal(normalizeForSpeech("Parse -> render & cache"), "Parse to render and cache");
+  assert.equal(normalizeForSpeech("Run npm i && npm test"), "Run npm i and npm test");
+});
+
+test("normalizeForSpeech: URLs pass through", () => {
+  assert.equal(normalizeForSpeech("See https://example.com/v2.3.1 now"), "See https://example.com/v2.3.1 now");
+});
+
+test("summaries keep C++, C# and .NET for the lexicon", () => {
+  const config = { lexicon: { "C++": "C plus plus", "C#": "C sharp", ".NET": "dot net" } };
+
+  const summary = fallbackSummarize(["Upgraded the C++ and C# builds to .NET 8."], "en");
+  assert.equal(applyLexicon(summary, config), "Upgraded the C plus plus and C sharp builds to dot net 8.");
+
+  const filtered = new OutputFilter({ language: "en" }).stripMarkdownForTTS("**Upgraded** `C++` and C# to .NET");
+  assert.equal(applyLexicon(filtered, config), "Upgraded C plus plus and C sharp to dot net");
+});
@@ -0,0 +1,125 @@
+import "./helpers.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filterTurn, fallbackSummarize, summaryPrompt } from "../lib/summarize.mjs";
+import { lastExchange } from "../lib/transcript.mjs";
+import { verbositySettings } from "../lib/verbosity.mjs";
+
+const sentence = (topic) => `The ${topic} step changed how tokens are split and classified.`;
+const paragraph = (topic, count) => Array.from({ length: count }, () => sentence(topic)).join(" ");
+
+const user = (content, extra = {}) => ({ type: "user", message: { role: "user", content }, ...extra });
+const assistant = (content) => ({ type: "assistant", message: { role: "assistant", content } });
+
+test("lastExchange: gathers every assistant text since the last typed question", () => {
+  const messages = [
+    user("Earlier question"),
+    assistant([{ type: "text", text: "Old answer." }]),
+    user("Refactor the tokenizer"),
+    assistant([{ type: "text", text: "Reading the tokenizer." }, { type: "tool_use", id: "t1", name: "Read", input: {} }]),
+    user([{ type: "tool_result", tool_use_id: "t1", content: "..." }]),
+    user("<command-name>/clear</command-name>"),
+    user("Caveat: meta", { isMeta: true }),
+    assistant([{ type: "text", text: "Split it into a scanner and a classifier." }]),
+    assistant([{ type: "tool_use", id: "t2", name: "Bash", input: { command: "npm test" } }]),
+    user([{ type: "tool_result", tool_use_id: "t2", content: "ok" }]),
+    assistant([{ type: "text", text: "Done!" }]),
+  ];
+
+  const exchange = lastExchange(messages);
+
+  assert.equal(exchange.userQuestion, "Refactor the tokenizer");
+  assert.deepEqual(exchange.responseTexts, ["Reading the tokenizer.", "Split it into a scanner and a classifier.", "Done!"]);
+  assert.equal(exchange.responseText, "Done!");
+  assert.equal(exchange.firstResponseText, "Reading the tokenizer.");
+  assert.equal(exchange.turn.length, 8);
+});
+
+test("lastExchange: null without an assistant text", () => {
+  assert.equal(lastExchange([user("Hello")]), null);
+});
+
+test("filterTurn: a single text gets the whole budget", () => {
+  const brief = verbositySettings({ verbosity: "brief" });
+  const [block] = filterTurn([paragraph("only", 12)], "en", brief);
+
+  assert.ok(block.length > (brief.filterMaxLength * 2) / 3, `${block.length} chars kept`);
+  assert.ok(block.length <= brief.filterMaxLength);
+});
+
+test("filterTurn: stays within budget and keeps the newest text whole", () => {
+  const brief = verbositySettings({ verbosity: "brief" });
+  const texts = [paragraph("first", 10), paragraph("second", 10), paragraph("third", 10), "Done!"];
+
+  const blocks = filterTurn(texts, "en", brief);
+
+  assert.equal(blocks.at(-1), "Done!");
+  const total = blocks.reduce((sum, block) => sum + block.length, 0);
+  assert.ok(total <= brief.filterMaxLength, `${total} chars for a ${brief.filterMaxLength} budget`);
+  // Recent texts weigh more: the one before "Done!" keeps more than older ones
+  const kept = (topic) => blocks.find((block) => block.includes(topic))?.length ?? 0;
+  assert.ok(kept("third") > kept("second"));
+  assert.ok(kept("second") >= kept("first"));
+});
+
+test("filterTurn: early texts are dropped once the budget runs out", () => {
+  const terse = verbositySettings({ verbosity: "terse" });
+  const texts = Array.from({ length: 8 }, (_, i) => paragraph(`step${i}`, 6));
+
+  const blocks = filterTurn(texts, "en", terse);
+
+  assert.ok(blocks.length < texts.length);
+  assert.ok(blocks.at(-1).includes("step7"));
+  assert.ok(!blocks.some((block) => block.includes("step0")));
+});
+
+test("filterTurn: empty texts are skipped", () => {
+  assert.deepEqual(filterTurn(["   ", "Tests pass now."], "en", verbositySettings()), ["Tests pass now."]);
+  assert.deepEqual(filterTurn([], "en", verbositySettings()), []);
+});
+
+test("fallbackSummarize: keeps the newest block and whole sentences before it", () => {
+  const terse = verbositySettings({ verbosity: "terse" });
+  const blocks = [
+    "I read the tokenizer module first to see how it splits tokens.",
+    "The tokenizer mixes whitespace handling with keyword detection. I split it into a scanner and a classifier.",
+    "Done!",
+  ];
+
+  const summary = fallbackSummarize(blocks, "en", terse);
+
+  assert.equal(summary, "The tokenizer mixes whitespace handling with keyword detection. Done!");
+});
+
+test("fallbackSummarize: leads with the turn's facts", () => {
+  const facts = {
+    edited: ["/p/a.js"],
+    created: [],
+    commands: [{ command: "npm test", exitCode: 0 }],
+    tests: { command: "npm test", passed: 12, failed: 0, ok: true },
+    errors: [],
+  };
+
+  const summary = fallbackSummarize(["Done!"], "en", verbositySettings(), facts);
+
+  assert.equal(summary, "Edited 1 file. All 12 tests passed. Done!");
+});
+
+test("summaryPrompt: a long turn keeps its newest text", () => {
+  const detailed = verbositySettings({ verbosity: "detailed" });
+  const response = `First I read the parser.\n\n${paragraph("early", 60)}\n\nAll tests pass now.`;
+
+  const { prompt } = summaryPrompt(response, "Fix the parser", { verbosity: detailed });
+
+  assert.match(prompt, /All tests pass now\./);
+  assert.doesNotMatch(prompt, /First I read the parser/);
+});
+
+test("summaryPrompt: includes the question and the joined turn", () => {
+  const { name, prompt } = summaryPrompt("First part.\n\nDone!", "Fix the parser", { verbosity: verbositySettings() });
+
+  assert.equal(name, "summary");
+  assert.match(prompt, /The user asked: "Fix the parser"/);
+  assert.match(prompt, /First part\.\n\nDone!/);
+  assert.match(prompt, /under 20 words/);
+});
@@ -0,0 +1,108 @@
+import { TEST_HOME } from "./helpers.mjs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { ENGINES_DIR } from "../lib/config-enums.mjs";
+import { CONFIG_FILE } from "../lib/config.mjs";
+import { getEngine } from "../lib/tts-engines.mjs";
+import { synthesizeWav } from "../lib/speech-pipeline.mjs";
+import { synthesizeInWorker, getWorkerStatus, stopWorker } from "../lib/worker-client.mjs";
+import { parseWav } from "../lib/wav.mjs";
+
+const WAV_MODULE = pathToFileURL(new URL("../lib/wav.mjs", import.meta.url).pathname).href;
+const SERVER_SCRIPT = join(TEST_HOME, "stub-engine-server.mjs");
+const STARTS_FILE = join(TEST_HOME, "stub-engine-starts");
+
+// Persistent process: writes 100 samples per line, and stops answering at "hang"
+const SERVER = `
+import { appendFileSync, writeFileSync } from "fs";
+import { createInterface } from "readline";
+import { encodeWav } from "${WAV_MODULE}";
+
+appendFileSync(${JSON.stringify(STARTS_FILE)}, process.pid + "\\n");
+let hung = false;
+createInterface({ input: process.stdin }).on("line", (line) => {
+  const { text, output } = JSON.parse(line);
+  hung ||= text === "hang";
+  if (hung) return;
+  writeFileSync(output, encodeWav(new Float32Array(100)));
+  console.log(output);
+});
+`;
+
+// Engine: the same thing run once writes 200 samples
+const ENGINE = `
+import { writeFileSync } from "fs";
+import { encodeWav } from "${WAV_MODULE}";
+
+export default {
+  name: "stub",
+  isAvailable: () => ({ available: true }),
+  persistent: {
+    spawn: () => ({ key: "stub", command: process.execPath, args: [${JSON.stringify(SERVER_SCRIPT)}] }),
+    request: (text, output) => ({ text, output }),
+  },
+  async synthesize(text, output) {
+    writeFileSync(output, encodeWav(new Float32Array(200)));
+  },
+};
+`;
+
+const config = { worker: { enabled: true, timeoutSeconds: 1 }, cache: { enabled: false } };
+const starts = () => readFileSync(STARTS_FILE, "utf-8").trim().split("\n");
+const samples = (file) => parseWav(readFileSync(file)).samples.length;
+let engine;
+
+before(async () => {
+  mkdirSync(ENGINES_DIR, { recursive: true });
+  writeFileSync(join(ENGINES_DIR, "stub.mjs"), ENGINE);
+  writeFileSync(SERVER_SCRIPT, SERVER);
+  // The worker reads idleSeconds from the global config: exit soon if a test fails to stop it
+  writeFileSync(CONFIG_FILE, JSON.stringify({ worker: { idleSeconds: 10 } }));
+  engine = await getEngine("stub");
+});
+
+after(() => stopWorker());
+
+test("synthesizeInWorker: the worker starts on first use and keeps the engine process", async () => {
+  const first = join(TEST_HOME, "first.wav");
+  const second = join(TEST_HOME, "second.wav");
+
+  assert.equal(await synthesizeInWorker(engine, "Hello", first, {}, config), true);
+  assert.equal(await synthesizeInWorker(engine, "Again", second, {}, config), true);
+
+  assert.equal(samples(first), 100);
+  assert.equal(samples(second), 100);
+  assert.equal(starts().length, 1);
+  assert.deepEqual((await getWorkerStatus()).processes, ["stub"]);
+});
+
+test("synthesizeInWorker: a hung engine process times out, and the requests behind it fall back", async () => {
+  const started = Date.now();
+
+  const hung = synthesizeInWorker(engine, "hang", join(TEST_HOME, "hang.wav"), {}, config);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const queued = synthesizeInWorker(engine, "Queued", join(TEST_HOME, "queued.wav"), {}, config);
+  const results = await Promise.all([hung, queued]);
+
+  assert.deepEqual(results, [false, false]);
+  assert.ok(Date.now() - started < 2500, `answered after ${Date.now() - started}ms`);
+  assert.deepEqual((await getWorkerStatus()).processes, []);
+});
+
+test("synthesizeInWorker: the next request starts a fresh engine process", async () => {
+  const file = join(TEST_HOME, "after.wav");
+
+  assert.equal(await synthesizeInWorker(engine, "Hello", file, {}, config), true);
+
+  assert.equal(samples(file), 100);
+  assert.equal(starts().length, 2);
+});
+
+test("synthesizeWav: runs the engine once when the worker times out", async () => {
+  const wav = await synthesizeWav(engine, "hang", {}, config);
+
+  assert.equal(parseWav(wav).samples.length, 200);
+});
@@ -62,4 +62,4 @@ echo "  - No overlapping voice output should occur"
 echo "  - Final message in each test should play completely"
 echo ""
 echo "Check TTS manager log:"
-echo "  tail -f ~/.claude-auto-speak/tts-manager.log"
+echo "  auto-speak logs --follow --component tts-manager"
@@ -41,6 +41,11 @@ if [[ -f "$INSTALL_DIR/setup/configure-hooks.mjs" ]]; then
   echo -e "${GREEN}✓${NC} Hooks removed"
 fi
 
+# Stop the synthesis worker, so it does not hold models until it idles out
+if [[ -f "$INSTALL_DIR/bin/auto-speak" ]]; then
+  node "$INSTALL_DIR/bin/auto-speak" worker stop >/dev/null 2>&1 || true
+fi
+
 # Remove install directory
 if [[ -d "$INSTALL_DIR" ]]; then
   echo -e "${CYAN}Removing installation directory...${NC}"